@@ -13,7 +13,20 @@ var packageJson = require('./package.json')
 module.exports = function (config) {
   var cloud = new Hypercloud(config)
   cloud.version = packageJson.version
-  cloud.setupAdminUser()
+
+  // migrate the db before anything uses it
+  // - a dry run only reports what would change, since the code cant run on the unmigrated db
+  cloud.migrate().then(() => {
+    if (config.migrations && config.migrations.dryRun) {
+      console.log('[DRY RUN] Migrations checked, shutting down')
+      process.exit(0)
+    }
+    cloud.start()
+    return cloud.setupAdminUser()
+  }, err => {
+    console.error('[ERROR] Failed to migrate the database, shutting down:', err)
+    process.exit(1)
+  })
 
   var app = express()
   app.cloud = cloud
@@ -30,9 +43,10 @@ module.exports = function (config) {
     }
   }
 
+  app.use((req, res, next) => cloud.whenMigrated(() => next())) // hold requests until the db is migrated
   app.use(cookieParser())
-  app.use(bodyParser.json())
-  app.use(bodyParser.urlencoded())
+  app.use(unlessFileUpload(bodyParser.json()))
+  app.use(unlessFileUpload(bodyParser.urlencoded()))
   app.use(expressValidator({ customValidators, customSanitizers }))
   app.use(cloud.sessions.middleware())
   if (config.rateLimiting) {
@@ -69,8 +83,10 @@ module.exports = function (config) {
   app.post('/v1/register', cloud.api.users.doRegister)
   app.all('/v1/verify', cloud.api.users.verify)
   app.get('/v1/account', cloud.api.users.getAccount)
+  app.get('/v1/account/export', cloud.api.users.exportAccount)
   app.post('/v1/account', cloud.api.users.updateAccount)
   app.post('/v1/account/password', cloud.api.users.updateAccountPassword)
+  app.post('/v1/account/delete', cloud.api.users.deleteAccount)
   app.post('/v1/login', cloud.api.users.doLogin)
   app.get('/v1/logout', cloud.api.users.doLogout)
   app.post('/v1/forgot-password', cloud.api.users.doForgotPassword)
@@ -81,17 +97,31 @@ module.exports = function (config) {
 
   app.post('/v1/archives/add', cloud.api.archives.add)
   app.post('/v1/archives/remove', cloud.api.archives.remove)
+  app.post('/v1/archives/create', cloud.api.archives.create)
+  app.post('/v1/archives/claim', cloud.api.archives.claim)
   app.get('/v1/archives/:key([0-9a-f]{64})', cloud.api.archives.get)
+  app.get('/v1/archives/:key([0-9a-f]{64})/export', cloud.api.archives.exportArchive)
+  app.put('/v1/archives/:key([0-9a-f]{64})/files/*', cloud.api.archives.putFile)
+  app.delete('/v1/archives/:key([0-9a-f]{64})/files/*', cloud.api.archives.deleteFile)
   app.get('/v1/users/:username([^/]{3,})/:archivename', cloud.api.archives.getByName)
 
   // admin apis
   // =
 
+  app.get('/v1/admin/stats', cloud.api.admin.getStats)
   app.get('/v1/admin/users', cloud.api.admin.listUsers)
   app.get('/v1/admin/users/:id', cloud.api.admin.getUser)
   app.post('/v1/admin/users/:id', cloud.api.admin.updateUser)
   app.post('/v1/admin/users/:id/suspend', cloud.api.admin.suspendUser)
   app.post('/v1/admin/users/:id/unsuspend', cloud.api.admin.unsuspendUser)
+  app.get('/v1/admin/archives', cloud.api.admin.listArchives)
+  app.get('/v1/admin/archives/:key([0-9a-f]{64})', cloud.api.admin.getArchive)
+  app.post('/v1/admin/archives/:key([0-9a-f]{64})/remove', cloud.api.admin.removeArchive)
+  app.post('/v1/admin/archives/:key([0-9a-f]{64})/reload', cloud.api.admin.reloadArchive)
+  app.post('/v1/admin/archives/:key([0-9a-f]{64})/verify', cloud.api.admin.verifyArchive)
+  app.get('/v1/admin/blocklist', cloud.api.admin.listBlocklist)
+  app.post('/v1/admin/blocklist/add', cloud.api.admin.blockArchive)
+  app.post('/v1/admin/blocklist/remove', cloud.api.admin.unblockArchive)
 
   // (json) error-handling fallback
   // =
@@ -158,3 +188,13 @@ function actionLimiter (perHour, message) {
     message
   })
 }
+
+// file uploads are streamed into the archive, so their bodies must not be parsed
+function unlessFileUpload (middleware) {
+  return (req, res, next) => {
+    if (req.method === 'PUT' && /^\/v1\/archives\/[0-9a-f]{64}\/files\//.test(req.path)) {
+      return next()
+    }
+    middleware(req, res, next)
+  }
+}
@@ -1,11 +1,69 @@
+const bytes = require('bytes')
 const {NotFoundError, UnauthorizedError, ForbiddenError} = require('../const')
+const {getFolderSize} = require('../helpers')
+
+// constants
+// =
+
+// the windows which activity is counted over
+const ACTIVITY_WINDOWS = {
+  lastHour: 60 * 60e3,
+  lastDay: 24 * 60 * 60e3,
+  lastWeek: 7 * 24 * 60 * 60e3
+}
+
+// how long the measured size of the data directory is reused, since measuring it reads every file
+const DISK_USAGE_MAX_AGE = 5 * 60e3
 
 // exported api
 // =
 
 module.exports = class AdminAPI {
   constructor (cloud) {
+    this.config = cloud.config
     this.usersDB = cloud.usersDB
+    this.archivesDB = cloud.archivesDB
+    this.activityDB = cloud.activityDB
+    this.blocklistDB = cloud.blocklistDB
+    this.archiver = cloud.archiver
+    this.bandwidth = cloud.bandwidth
+    this.jobs = cloud.jobs
+
+    // the last measure of the data directory's size
+    this.diskUsage = null
+  }
+
+  async getStats (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    var {scopes} = res.locals.session
+    if (!scopes.includes('admin:users') && !scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // count the records
+    var now = Date.now()
+    var windows = Object.keys(ACTIVITY_WINDOWS)
+    var [{numUsers, numVerifiedUsers}, numArchives, numDeadArchives, activityCounts, diskUsage] = await Promise.all([
+      this.usersDB.count(),
+      this.archivesDB.count(),
+      this.archivesDB.countDeadArchives(),
+      this.activityDB.countGlobalEvents(windows.map(name => now - ACTIVITY_WINDOWS[name])),
+      this._getDiskUsage()
+    ])
+    var activity = {}
+    windows.forEach((name, i) => {
+      activity[name] = activityCounts[i]
+    })
+
+    // respond
+    res.status(200)
+    res.json(Object.assign({
+      numUsers,
+      numVerifiedUsers,
+      numArchives,
+      numDeadArchives,
+      diskUsage,
+      activity
+    }, this.archiver.getStats()))
   }
 
   async listUsers (req, res) {
@@ -35,6 +93,9 @@ module.exports = class AdminAPI {
     var user = await this._getUser(req.params.id)
 
     // respond
+    if (req.query.view === 'bandwidth') {
+      return res.status(200).json(await this.bandwidth.getUserBandwidth(user.id))
+    }
     res.status(200)
     res.json(user)
   }
@@ -53,18 +114,32 @@ module.exports = class AdminAPI {
       .isLength({ min: 3, max: 100 })
     req.checkBody('scopes', 'Must be an array of strings.').optional()
       .isScopesArray()
+    req.checkBody('diskQuota', 'Must be a number of bytes, a size string (eg "5gb"), or null.').optional()
+      .isBytes()
+    req.checkBody('maxArchiveSize', 'Must be a number of bytes, a size string (eg "5gb"), or null.').optional()
+      .isBytes()
     ;(await req.getValidationResult()).throw()
-    var { username, email, scopes } = req.body
+    var { username, email, scopes, diskQuota, maxArchiveSize } = req.body
 
     // fetch
     var user = await this._getUser(req.params.id)
 
     // update
-    if (typeof username !== 'undefined') user.username = username
+    if (typeof username !== 'undefined' && username !== user.username) {
+      // checks the name is free, and keeps the index and the old name's redirect right
+      user = await this.usersDB.rename(user.id, username)
+    }
     if (typeof email !== 'undefined') user.email = email
     if (typeof scopes !== 'undefined') user.scopes = scopes
+    if (typeof diskQuota !== 'undefined') user.diskQuota = (diskQuota === null) ? null : bytes.parse(diskQuota)
+    if (typeof maxArchiveSize !== 'undefined') user.maxArchiveSize = (maxArchiveSize === null) ? null : bytes.parse(maxArchiveSize)
     await this.usersDB.put(user)
 
+    // the limits may have changed, so re-check the user's archives
+    if (typeof diskQuota !== 'undefined' || typeof maxArchiveSize !== 'undefined') {
+      await this.jobs.queue('check-disk-quotas', {userId: user.id})
+    }
+
     // respond
     res.status(200)
     res.json(user)
@@ -106,6 +181,184 @@ module.exports = class AdminAPI {
     res.status(200).end()
   }
 
+  async listArchives (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // validate & sanitize input
+    req.checkQuery('sort', 'Must be one of: key, createdAt, diskUsage.').optional()
+      .isIn(['key', 'createdAt', 'diskUsage'])
+    req.checkQuery('limit', 'Must be a number.').optional().isInt({min: 1})
+    ;(await req.getValidationResult()).throw()
+
+    // fetch
+    var archives = await this.archivesDB.query({
+      cursor: req.query.cursor,
+      limit: req.query.limit ? +req.query.limit : 25,
+      sort: req.query.sort,
+      reverse: +req.query.reverse === 1
+    })
+
+    // respond
+    res.status(200)
+    res.json({archives})
+  }
+
+  async getArchive (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // fetch
+    var archive = await this._getArchive(req.params.key)
+    var key = archive.key
+    if (req.query.view === 'bandwidth') {
+      return res.status(200).json(await this.bandwidth.getArchiveBandwidth(key))
+    }
+    archive.hostingUsers = await Promise.all(archive.hostingUsers.map(async id => {
+      var user = await this.usersDB.getByID(id)
+      return {id, username: user ? user.username : null}
+    }))
+
+    // add the live state (closed archives have no peers or progress)
+    var isOpen = !!this.archiver.getArchive(key)
+    archive.isOpen = isOpen
+    archive.numPeers = this.archiver.getArchivePeers(key).length
+    archive.progress = isOpen ? this.archiver.getArchiveProgress(key) : null
+    archive.isDownloadPaused = this.archiver.isDownloadPaused(key)
+
+    // respond
+    res.status(200)
+    res.json(archive)
+  }
+
+  async removeArchive (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // remove the archive from every hosting user
+    var archive = await this._getArchive(req.params.key)
+    var key = archive.key
+    for (let userId of archive.hostingUsers) {
+      await Promise.all([
+        this.usersDB.removeArchive(userId, key),
+        this.archivesDB.removeHostingUser(key, userId)
+      ])
+    }
+
+    // remove from the swarm
+    // (the data is deleted by the dead-archives cleanup)
+    await this.archiver.closeArchive(key)
+
+    // respond
+    res.status(200).end()
+  }
+
+  async reloadArchive (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // only hosted archives are reloaded
+    var archive = await this._getArchive(req.params.key)
+    if (!archive.hostingUsers.length) throw new NotFoundError()
+    await this.archiver.reloadArchive(archive.key)
+
+    // respond
+    res.status(200).end()
+  }
+
+  async verifyArchive (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // fetch archive record
+    var archiveRecord = await this._getArchive(req.params.key)
+
+    // the check reads every stored block, so run it in the background
+    await this.jobs.queue('verify-archive-integrity', {key: archiveRecord.key})
+
+    // respond
+    res.status(200).end()
+  }
+
+  async listBlocklist (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // respond
+    if (req.query.view === 'log') {
+      return res.status(200).json({log: await this.blocklistDB.listLog()})
+    }
+    res.status(200)
+    res.json({blocklist: await this.blocklistDB.list()})
+  }
+
+  async blockArchive (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // validate & sanitize input
+    req.checkBody('key', 'Must be a dat key.').isDatHash()
+    req.checkBody('reason', 'Must give a reason, of up to 1000 characters.').isLength({ min: 1, max: 1000 })
+    req.checkBody('legalRef', 'Can be up to 1000 characters.').optional().isLength({ max: 1000 })
+    ;(await req.getValidationResult()).throw()
+    var { key, reason, legalRef } = req.body
+    var userId = res.locals.session.id
+
+    // add to the blocklist
+    var blockRecord = await this.blocklistDB.block(key, {reason, legalRef, userId})
+
+    // show the takedown to the hosting users
+    await this.archivesDB.updateTakedown(key, {reason, legalRef: blockRecord.legalRef, blockedAt: blockRecord.blockedAt})
+
+    // close the archive and purge its data
+    await this.archiver.blockArchive(key, reason)
+
+    // respond
+    res.status(200)
+    res.json(blockRecord)
+  }
+
+  async unblockArchive (req, res) {
+    // check perms
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('admin:dats')) throw new ForbiddenError()
+
+    // validate & sanitize input
+    req.checkBody('key', 'Must be a dat key.').isDatHash()
+    req.checkBody('reason', 'Can be up to 1000 characters.').optional().isLength({ max: 1000 })
+    req.checkBody('legalRef', 'Can be up to 1000 characters.').optional().isLength({ max: 1000 })
+    ;(await req.getValidationResult()).throw()
+    var { key, reason, legalRef } = req.body
+    var userId = res.locals.session.id
+
+    // remove from the blocklist
+    var blockRecord = await this.blocklistDB.unblock(key, {reason, legalRef, userId})
+    if (!blockRecord) throw new NotFoundError()
+    this.archiver.unblockArchive(key)
+
+    // clear the takedown, and sync the archive again if it's still hosted
+    var archiveRecord = await this.archivesDB.updateTakedown(key, null)
+    if (archiveRecord && archiveRecord.hostingUsers.length) {
+      /* dont await */ this.archiver.loadArchive(key).catch(err => console.error('[ERROR] Failed to load archive', key, err))
+    }
+
+    // respond
+    res.status(200).end()
+  }
+
+  async _getArchive (key) {
+    var archive = await this.archivesDB.getByKey(key)
+    if (!archive) throw new NotFoundError()
+    return archive
+  }
+
   async _getUser (id) {
     // try to fetch by id, username, and email
     var user = await this.usersDB.getByID(id)
@@ -119,4 +372,18 @@ module.exports = class AdminAPI {
 
     throw new NotFoundError()
   }
+
+  // measure the total size of the files under config.dir
+  // - reuses the last measure for DISK_USAGE_MAX_AGE, and requests made during a measure share it
+  _getDiskUsage () {
+    if (!this.config.dir) return Promise.resolve(null)
+    if (!this.diskUsage || Date.now() - this.diskUsage.measuredAt > DISK_USAGE_MAX_AGE) {
+      var measure = getFolderSize(this.config.dir)
+      this.diskUsage = {measuredAt: Date.now(), measure}
+      measure.catch(() => {
+        if (this.diskUsage && this.diskUsage.measure === measure) this.diskUsage = null // try again next time
+      })
+    }
+    return this.diskUsage.measure
+  }
 }
@@ -1,7 +1,9 @@
-const {NotFoundError} = require('../const')
+const {NotFoundError, UnavailableForLegalReasonsError} = require('../const')
 const pda = require('pauls-dat-api')
+const {join} = require('path')
 const prettyBytes = require('pretty-bytes')
-const {pluralize, makeSafe, identifyStream} = require('../helpers')
+const {pluralize, makeSafe, identifyStream, stat} = require('../helpers')
+const {EXPORT_FORMATS, sendArchiveExport} = require('../export')
 
 const CSP = `
 default-src 'self' dat:;
@@ -11,6 +13,9 @@ img-src 'self' data: dat:;
 object-src 'none';
 `.replace(/\n/g, ' ')
 
+// matches archive names with a version, eg 'archive+123' or '+123'
+const VERSION_REGEX = /^(.*)\+([0-9]+)$/
+
 // exported api
 // =
 
@@ -19,12 +24,14 @@ module.exports = class ArchiveFilesAPI {
     this.config = cloud.config
     this.usersDB = cloud.usersDB
     this.archivesDB = cloud.archivesDB
+    this.blocklistDB = cloud.blocklistDB
     this.archiver = cloud.archiver
+    this.bandwidth = cloud.bandwidth
   }
 
   async _getArchiveRecord (req, {topLevel} = {}) {
     var username, archname, userRecord, archiveRecord
-    const findFn = test => a => a.name.toLowerCase() === test
+    const findFn = test => a => !!a.name && a.name.toLowerCase() === test
 
     if (this.config.sites === 'per-archive') {
       if (!req.vhost[1]) {
@@ -38,7 +45,7 @@ module.exports = class ArchiveFilesAPI {
 
       // lookup user record
       userRecord = await this.usersDB.getByUsername(username)
-      if (!userRecord) throw new NotFoundError()
+      if (!userRecord) return this._getRenamedUserRedirect(req, username)
 
       // lookup archive record
       archiveRecord = userRecord.archives.find(findFn(archname))
@@ -51,13 +58,22 @@ module.exports = class ArchiveFilesAPI {
 
       // lookup user record
       userRecord = await this.usersDB.getByUsername(username)
-      if (!userRecord) throw new NotFoundError()
+      if (!userRecord) return this._getRenamedUserRedirect(req, username)
+
+      // user.domain/archive+version
+      var version
+      var versionMatch = VERSION_REGEX.exec(archname || '')
+      if (!topLevel && versionMatch) {
+        archname = versionMatch[1]
+        version = versionMatch[2]
+      }
 
       if (!topLevel && archname) {
         // lookup archive record
         archiveRecord = userRecord.archives.find(findFn(archname))
         if (archiveRecord) {
           archiveRecord.isNotToplevel = true
+          archiveRecord.version = version
           return archiveRecord
         }
       }
@@ -65,13 +81,31 @@ module.exports = class ArchiveFilesAPI {
       // look up archive record at username
       archiveRecord = userRecord.archives.find(findFn(username))
       if (!archiveRecord) throw new NotFoundError()
+      if (!topLevel && versionMatch && !archname) {
+        // user.domain/+version
+        archiveRecord.isNotToplevel = true
+        archiveRecord.version = version
+      }
       return archiveRecord
     }
   }
 
+  // give the url on the user's new name, if the username belonged to a renamed user
+  // (otherwise the user doesnt exist)
+  async _getRenamedUserRedirect (req, username) {
+    var renamedRecord = await this.usersDB.getByPreviousUsername(username)
+    if (!renamedRecord) throw new NotFoundError()
+
+    // swap the name in the host (user.domain, or archive.user.domain)
+    var labels = req.headers.host.split('.')
+    labels[(this.config.sites === 'per-archive' && req.vhost[1]) ? 1 : 0] = renamedRecord.username
+    return {redirect: `${req.protocol}://${labels.join('.')}${req.originalUrl}`}
+  }
+
   async getDNSFile (req, res) {
     // get the archive record
     var archiveRecord = await this._getArchiveRecord(req, {topLevel: true})
+    if (archiveRecord.redirect) return res.redirect(302, archiveRecord.redirect)
 
     // respond
     res.status(200).end('dat://' + archiveRecord.key + '/\nTTL=3600')
@@ -81,9 +115,26 @@ module.exports = class ArchiveFilesAPI {
     var fileReadStream
     var headersSent = false
     var archiveRecord = await this._getArchiveRecord(req)
+    if (archiveRecord.redirect) return res.redirect(302, archiveRecord.redirect)
+
+    // refuse archives which have been taken down
+    var blockRecord = await this.blocklistDB.getByKey(archiveRecord.key)
+    if (blockRecord) throw new UnavailableForLegalReasonsError(blockRecord.reason)
+
+    // make sure the archive's root url ends with a slash, so that relative links work
+    if (archiveRecord.isNotToplevel && req.path.split('/').length === 2) {
+      return res.redirect(301, req.path + '/' + req.url.slice(req.path.length))
+    }
 
     // skip the archivename if the archive was not found by subdomain
-    var reqPath = archiveRecord.isNotToplevel ? req.path.split('/').slice(2).join('/') : req.path
+    var reqPath = archiveRecord.isNotToplevel ? '/' + req.path.split('/').slice(2).join('/') : req.path
+
+    // the version can be given in the path (archive+123) or in the query (?version=123)
+    var version = archiveRecord.version || req.query.version || null
+    if (version !== null) {
+      if (!/^[0-9]+$/.test(version)) throw new NotFoundError()
+      version = +version
+    }
 
     // track whether the request has been aborted by client
     // if, after some async, we find `aborted == true`, then we just stop
@@ -95,41 +146,48 @@ module.exports = class ArchiveFilesAPI {
     // get the archive
     var archive = await this.archiver.loadArchive(archiveRecord.key)
     if (!archive) {
-      throw NotFoundError()
+      throw new NotFoundError()
     }
     if (aborted) return
 
-    // open the archive
-    await new Promise((resolve, reject) => archive.open(err => {
-      if (err) reject(err)
-      else resolve()
-    }))
-    if (aborted) return
+    // checkout the version
+    if (version !== null) {
+      archive = await this.archiver.checkoutArchive(archiveRecord.key, version)
+      if (!archive) {
+        throw new NotFoundError()
+      }
+      if (aborted) return
+    }
+
+    // download the folder as a zip or tar, if asked (?export=zip)
+    if (req.query.export) {
+      if (!EXPORT_FORMATS.includes(req.query.export)) throw new NotFoundError()
+      return sendArchiveExport(res, archive, {
+        path: reqPath || '/',
+        format: req.query.export,
+        name: (version !== null) ? `${archiveRecord.name}+${version}` : archiveRecord.name,
+        onData: chunk => this.bandwidth.count(archiveRecord.key, {bytesServed: chunk.length})
+      })
+    }
+
+    // snapshots never change, so they can be cached forever
+    var cacheControl = (version !== null) ? 'public, max-age=31536000, immutable' : 'public, max-age=60'
 
     // lookup entry
-    var hasExactMatch = false // if there's ever an exact match, then dont look for near-matches
     var filepath = reqPath
     if (!filepath) filepath = '/'
     var isFolder = filepath.endsWith('/')
-    const checkMatch = (entry, name) => {
-      if (isFolder) {
-        // look for index.html
-        return (name.toLowerCase() === filepath + 'index.html')
-      }
-      // check exact match
-      if (name === filepath) {
-        hasExactMatch = true
-        return true
-      }
-      // check inexact matches
-      if (!hasExactMatch) {
-        // try appending .html
-        if (name === filepath + '.html') return true
-        // try appending .htm
-        if (name === filepath + '.htm') return true
+    var candidates = isFolder
+      ? [filepath + 'index.html'] // look for index.html
+      : [filepath, filepath + '.html', filepath + '.htm'] // check exact match, then try appending .html and .htm
+    var entry
+    for (let name of candidates) {
+      let st = await stat(archive, name)
+      if (st && st.isFile()) {
+        entry = {name, stat: st}
+        break
       }
     }
-    var entry = await pda.lookupEntry(archive, checkMatch)
     if (aborted) return
 
     // not found
@@ -141,19 +199,21 @@ module.exports = class ArchiveFilesAPI {
       // if we're looking for a directory, render the file listing
       res.writeHead(200, 'OK', {
         'Content-Type': 'text/html',
-        'Content-Security-Policy': CSP
+        'Content-Security-Policy': CSP,
+        'Cache-Control': cacheControl
       })
-      return directoryListingPage(archive, reqPath, html => res.end(html))
+      return directoryListingPage(archive, filepath, html => res.end(html))
     }
 
     // caching if-match
-    const ETag = 'block-' + entry.content.blockOffset
+    const ETag = 'block-' + entry.stat.offset
     if (req.headers['if-none-match'] === ETag) {
       return res.status(304).end()
     }
 
     // fetch the entry and stream the response
-    fileReadStream = archive.createFileReadStream(entry)
+    fileReadStream = archive.createReadStream(entry.name)
+    fileReadStream.on('data', chunk => this.bandwidth.count(archiveRecord.key, {bytesServed: chunk.length}))
     fileReadStream
       .pipe(identifyStream(entry.name, mimeType => {
         // send headers, now that we can identify the data
@@ -161,10 +221,10 @@ module.exports = class ArchiveFilesAPI {
         var headers = {
           'Content-Type': mimeType,
           'Content-Security-Policy': CSP,
-          'Cache-Control': 'public, max-age: 60',
+          'Cache-Control': cacheControl,
           ETag
         }
-        if (entry.length) headers['Content-Length'] = entry.length
+        if (entry.stat.size) headers['Content-Length'] = entry.stat.size
         res.writeHead(200, 'OK', headers)
       }))
       .pipe(res)
@@ -218,14 +278,21 @@ const directoryListingPageStyles = `<style>
 </style>`
 
 function directoryListingPage (archive, path, cb) {
-  pda.listFiles(archive, path, (_, entries) => {
+  pda.readdir(archive, path, async (_, names) => {
+    // stat the entries
+    var entries = {}
+    for (let name of (names || [])) {
+      let st = await stat(archive, join(path, name))
+      if (st) entries[name] = st
+    }
+
     // sort the listing
-    var names = Object.keys(entries).sort((a, b) => {
+    names = Object.keys(entries).sort((a, b) => {
       var ea = entries[a]
       var eb = entries[b]
       // directories on top
-      if (ea.type === 'directory' && eb.type !== 'directory') return -1
-      if (ea.type !== 'directory' && eb.type === 'directory') return 1
+      if (ea.isDirectory() && !eb.isDirectory()) return -1
+      if (!ea.isDirectory() && eb.isDirectory()) return 1
       // alphabetical after that
       return a.localeCompare(b)
     })
@@ -238,11 +305,12 @@ function directoryListingPage (archive, path, cb) {
     var totalBytes = 0
     var entryEls = names.map(name => {
       var entry = entries[name]
-      totalBytes += entry.length
-      var url = makeSafe(entry.name)
-      if (!url.startsWith('/')) url = '/' + url // all urls should have a leading slash
-      if (entry.type === 'directory' && !url.endsWith('/')) url += '/' // all dirs should have a trailing slash
-      return `<div class="entry ${makeSafe(entry.type)}"><a href="${url}">${makeSafe(name)}</a></div>`
+      var type = entry.isDirectory() ? 'directory' : 'file'
+      totalBytes += entry.size
+      // relative urls, so that the archive's name & version are kept
+      var url = encodeURIComponent(name)
+      if (type === 'directory') url += '/' // all dirs should have a trailing slash
+      return `<div class="entry ${type}"><a href="${url}">${makeSafe(name)}</a></div>`
     }).join('')
     // summary
     var summary = `<div class="entry">${names.length} ${pluralize(names.length, 'file')}, ${prettyBytes(totalBytes || 0)}</div>`
@@ -1,5 +1,13 @@
-const {DAT_KEY_REGEX, NotFoundError, UnauthorizedError, ForbiddenError, NotImplementedError} = require('../const')
-const {wait} = require('../helpers')
+const {DAT_KEY_REGEX, NotFoundError, UnauthorizedError, ForbiddenError, NotImplementedError, PayloadTooLargeError, UnavailableForLegalReasonsError} = require('../const')
+const {wait, getManifestInfo, stat} = require('../helpers')
+const {EXPORT_FORMATS, sendArchiveExport} = require('../export')
+const through2 = require('through2')
+
+// constants
+// =
+
+// how often to write a comment to idle event streams, so proxies dont close them
+const EVENTS_KEEP_ALIVE_INTERVAL = 15e3
 
 // exported api
 // =
@@ -10,7 +18,11 @@ module.exports = class ArchivesAPI {
     this.usersDB = cloud.usersDB
     this.archivesDB = cloud.archivesDB
     this.activityDB = cloud.activityDB
+    this.blocklistDB = cloud.blocklistDB
     this.archiver = cloud.archiver
+    this.quotas = cloud.quotas
+    this.proofs = cloud.proofs
+    this.bandwidth = cloud.bandwidth
   }
 
   async add (req, res) {
@@ -53,6 +65,18 @@ module.exports = class ArchivesAPI {
       key = DAT_KEY_REGEX.exec(url)[1]
     }
 
+    // refuse archives which have been taken down
+    var blockRecord = await this.blocklistDB.getByKey(key)
+    if (blockRecord) throw new UnavailableForLegalReasonsError(blockRecord.reason)
+
+    // check the user's disk quota (only new archives are refused)
+    if (!userRecord.archives.find(a => a.key === key) && await this.quotas.isOverDiskQuota(userRecord)) {
+      return res.status(422).json({
+        message: 'You have used all of your disk space. Remove some archives to free up space.',
+        outOfSpace: true
+      })
+    }
+
     // update the records
     await Promise.all([
       this.usersDB.addArchive(userRecord.id, key, name),
@@ -68,12 +92,66 @@ module.exports = class ArchivesAPI {
     })
 
     // add to the swarm
-    /* dont await */ this.archiver.loadArchive(key)
+    /* dont await */ this.archiver.loadArchive(key).catch(err => console.error('[ERROR] Failed to load archive', key, err))
 
     // respond
     res.status(200).end()
   }
 
+  async create (req, res) {
+    // validate session
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('user')) throw new ForbiddenError()
+    var userRecord = await this.usersDB.getByID(res.locals.session.id)
+
+    // validate & sanitize input
+    req.checkBody('name').optional()
+      .isDatName().withMessage('Names must only contain characters, numbers, and dashes.')
+      .isLength({ min: 3, max: 63 }).withMessage('Names must be 3-63 characters long.')
+    ;(await req.getValidationResult()).throw()
+    var { name } = req.body
+
+    if (name && userRecord.archives.find(a => a.name === name)) {
+      return res.status(422).json({
+        message: 'There were errors in your submission',
+        details: {
+          name: {
+            msg: `You already have an archive named ${name}. Please select a new name.`
+          }
+        }
+      })
+    }
+
+    // check the user's disk quota
+    if (await this.quotas.isOverDiskQuota(userRecord)) {
+      return res.status(422).json({
+        message: 'You have used all of your disk space. Remove some archives to free up space.',
+        outOfSpace: true
+      })
+    }
+
+    // create the archive, which also adds it to the swarm
+    var key = await this.archiver.createArchive()
+
+    // update the records
+    await this.archivesDB.create({key, ownerId: userRecord.id})
+    await Promise.all([
+      this.usersDB.addArchive(userRecord.id, key, name),
+      this.archivesDB.addHostingUser(key, userRecord.id)
+    ])
+
+    // record the event
+    /* dont await */ this.activityDB.writeGlobalEvent({
+      userid: userRecord.id,
+      username: userRecord.username,
+      action: 'add-archive',
+      params: {key, name}
+    })
+
+    // respond
+    res.status(200).json({key})
+  }
+
   async remove (req, res) {
     // validate session
     if (!res.locals.session) throw new UnauthorizedError()
@@ -116,7 +194,7 @@ module.exports = class ArchivesAPI {
 
     // remove from the swarm
     var archive = await this.archivesDB.getByKey(key)
-    if (!archive.hostingUsers.length) {
+    if (!archive || !archive.hostingUsers.length) {
       /* dont await */ this.archiver.closeArchive(key)
     }
 
@@ -124,10 +202,60 @@ module.exports = class ArchivesAPI {
     res.status(200).end()
   }
 
+  async claim (req, res) {
+    // validate session
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('user')) throw new ForbiddenError()
+    var userRecord = await this.usersDB.getByID(res.locals.session.id)
+
+    // validate & sanitize input
+    req.checkBody('key').optional().isDatHash()
+    req.checkBody('url').optional().isDatURL()
+    ;(await req.getValidationResult()).throw()
+    if (req.body.url) req.sanitizeBody('url').toDatDomain()
+    var { key, url } = req.body
+
+    // only allow one or the other
+    if ((!key && !url) || (key && url)) {
+      return res.status(422).json({
+        message: 'Must provide a key or url',
+        invalidInputs: true
+      })
+    }
+
+    // extract the key from the url
+    if (url) {
+      key = DAT_KEY_REGEX.exec(url)[1]
+    }
+
+    // the archive must be hosted by the user, so that the proof can be synced
+    if (!userRecord.archives.find(a => a.key === key)) {
+      return res.status(422).json({
+        message: 'You must add the archive before you can claim it',
+        archiveNotAdded: true
+      })
+    }
+
+    // respond with the proof
+    res.status(200).json({
+      proof: this.proofs.generateClaim(userRecord, `dat://${key}/`),
+      hostname: this.config.hostname
+    })
+  }
+
   async get (req, res) {
     if (req.query.view === 'status') {
       return this.archiveStatus(req, res)
     }
+    if (req.query.view === 'proofs') {
+      return this.archiveProofs(req, res)
+    }
+    if (req.query.view === 'peers') {
+      return this.archivePeers(req, res)
+    }
+    if (req.query.view === 'events') {
+      return this.archiveEvents(req, res)
+    }
 
     // give info about the archive
     // TODO
@@ -143,7 +271,12 @@ module.exports = class ArchivesAPI {
 
     // lookup user
     var userRecord = await this.usersDB.getByUsername(username)
-    if (!userRecord) throw new NotFoundError()
+    if (!userRecord) {
+      // redirect from the previous name of a renamed user
+      let renamedRecord = await this.usersDB.getByPreviousUsername(username)
+      if (!renamedRecord) throw new NotFoundError()
+      return res.redirect(302, `/v1/users/${renamedRecord.username}/${archivename}` + req.url.slice(req.path.length))
+    }
 
     // lookup archive
     const findFn = (DAT_KEY_REGEX.test(archivename))
@@ -151,27 +284,261 @@ module.exports = class ArchivesAPI {
       : a => a.name === archivename
     var archive = userRecord.archives.find(findFn)
     if (!archive) throw new NotFoundError()
+    var archiveRecord = await this.archivesDB.getByKey(archive.key)
+    var manifestInfo = getManifestInfo(archiveRecord)
 
     // respond
     res.status(200).json({
       user: username,
       key: archive.key,
       name: archive.name,
-      title: null, // TODO
-      description: null // TODO
+      title: manifestInfo.title,
+      description: manifestInfo.description,
+      isVerified: !!archiveRecord && archiveRecord.isVerified && archiveRecord.verifiedBy === userRecord.id,
+      takedown: (archiveRecord && archiveRecord.takedown) || null
     })
   }
 
   async archiveStatus (req, res) {
-    var progress = await this._getArchiveProgress(req.params.key)
-    res.status(200).json({ progress })
+    var key = req.params.key
+    var archiveRecord = await this.archivesDB.getByKey(key)
+    var takedown = (archiveRecord && archiveRecord.takedown) || null
+
+    // taken-down archives are never loaded
+    var progress = this.archiver.isArchiveBlocked(key) ? 0 : await this._getArchiveProgress(key)
+    var oversized = this.archiver.isArchiveOversized(key)
+    res.status(200).json({ progress, oversized, takedown })
+  }
+
+  async archiveProofs (req, res) {
+    var archiveRecord = await this.archivesDB.getByKey(req.params.key)
+    if (!archiveRecord) throw new NotFoundError()
+
+    // lookup the verified owner
+    var verifiedBy = null
+    if (archiveRecord.isVerified) {
+      let userRecord = await this.usersDB.getByID(archiveRecord.verifiedBy)
+      verifiedBy = userRecord ? userRecord.username : null
+    }
+
+    // respond
+    res.status(200).json({
+      isVerified: !!verifiedBy,
+      verifiedBy
+    })
+  }
+
+  async archivePeers (req, res) {
+    var archiveRecord = await this.archivesDB.getByKey(req.params.key)
+    if (!archiveRecord || !archiveRecord.hostingUsers.length) throw new NotFoundError()
+
+    // closed archives have no connections
+    var now = Date.now()
+    var peers = this.archiver.getArchivePeers(req.params.key).map(peer => {
+      peer.age = now - peer.connectedAt
+      return peer
+    })
+
+    // respond
+    res.status(200).json({
+      numPeers: peers.length,
+      numTCP: peers.filter(p => p.type === 'tcp').length,
+      numUTP: peers.filter(p => p.type === 'utp').length,
+      bytesUploaded: peers.reduce((acc, p) => acc + p.bytesUploaded, 0),
+      bytesDownloaded: peers.reduce((acc, p) => acc + p.bytesDownloaded, 0),
+      peers
+    })
+  }
+
+  // stream the archive's sync progress, peer count, and version changes as server-sent events
+  async archiveEvents (req, res) {
+    var key = req.params.key
+    var archiveRecord = await this.archivesDB.getByKey(key)
+    if (!archiveRecord || !archiveRecord.hostingUsers.length) throw new NotFoundError()
+    if (archiveRecord.takedown) throw new UnavailableForLegalReasonsError(archiveRecord.takedown.reason)
+
+    // start the stream
+    res.writeHead(200, 'OK', {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    })
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    const sendAll = archive => {
+      send('progress', {progress: this.archiver.getArchiveProgress(key)})
+      send('peers', {numPeers: archive.replicationStreams.length})
+      send('version', {version: this.archiver.getArchiveVersion(key)})
+    }
+
+    // send the current state once the archive is open
+    // (the archive may have been closed, in which case it's reopened)
+    var archive = this.archiver.getArchive(key)
+    if (archive) {
+      sendAll(archive)
+    } else {
+      /* dont await */ this.archiver.loadArchive(key).catch(err => console.error('[ERROR] Failed to load archive', key, err))
+    }
+
+    // send updates
+    var listeners = {
+      'load-archive': (k, archive) => { if (k === key) sendAll(archive) },
+      'archive-progress': (k, progress) => { if (k === key) send('progress', {progress}) },
+      'archive-peers': (k, numPeers) => { if (k === key) send('peers', {numPeers}) },
+      'archive-version': (k, version) => { if (k === key) send('version', {version}) }
+    }
+    for (let event in listeners) {
+      this.archiver.on(event, listeners[event])
+    }
+    var keepAlive = setInterval(() => res.write(': keep-alive\n\n'), EVENTS_KEEP_ALIVE_INTERVAL)
+
+    // stop when the client disconnects
+    req.once('close', () => {
+      clearInterval(keepAlive)
+      for (let event in listeners) {
+        this.archiver.removeListener(event, listeners[event])
+      }
+    })
+  }
+
+  // download the archive, or a folder in it, as a zip or tar
+  async exportArchive (req, res) {
+    // validate & sanitize input
+    req.checkQuery('format').optional().isIn(EXPORT_FORMATS)
+    req.checkQuery('version').optional().isInt({ min: 0 })
+    ;(await req.getValidationResult()).throw()
+    var key = req.params.key
+    var format = req.query.format || 'zip'
+    var version = req.query.version ? +req.query.version : null
+
+    // get the archive, at the version if given
+    var archive = await this._getArchive(key)
+    if (version !== null) {
+      archive = await this.archiver.checkoutArchive(key, version)
+      if (!archive) throw new NotFoundError()
+    }
+
+    // respond
+    await sendArchiveExport(res, archive, {
+      path: req.query.path || '/',
+      format,
+      name: (version !== null) ? `${key}+${version}` : key,
+      onData: chunk => this.bandwidth.count(key, {bytesServed: chunk.length})
+    })
+  }
+
+  // write a file to an archive created by the user
+  async putFile (req, res) {
+    var {userRecord, archive, path} = await this._getWritableArchive(req, res)
+
+    // check the user's disk quota
+    if (await this.quotas.isOverDiskQuota(userRecord)) {
+      return res.status(422).json({
+        message: 'You have used all of your disk space. Remove some files to free up space.',
+        outOfSpace: true
+      })
+    }
+
+    // refuse files which are bigger than the space left
+    var bytesLeft = await this.quotas.getWritableBytes(userRecord, req.params.key)
+    var tooLargeError = new PayloadTooLargeError(`The file is larger than the space you have left (${bytesLeft} bytes)`)
+    if (+req.headers['content-length'] > bytesLeft) {
+      throw tooLargeError
+    }
+
+    // stream the request body into the archive
+    // - the bytes are counted as they arrive, since the content-length may be missing or wrong
+    // - the write stream holds the archive's write lock until it ends, so it's destroyed if the upload stops
+    var aborted = false
+    await new Promise((resolve, reject) => {
+      var numBytes = 0
+      var writeStream = archive.createWriteStream(path)
+      var counter = through2((chunk, enc, cb) => {
+        numBytes += chunk.length
+        if (numBytes > bytesLeft) cb(tooLargeError)
+        else cb(null, chunk)
+      })
+      var stopWriting = () => {
+        // the file isnt added to the archive
+        req.unpipe(counter)
+        writeStream.destroy()
+      }
+      var onAborted = () => {
+        if (req.complete) return // the body was received, let the write finish
+        aborted = true
+        stopWriting()
+        resolve()
+      }
+      counter.once('error', err => {
+        stopWriting()
+        reject(err)
+      })
+      writeStream.once('error', reject)
+      writeStream.once('finish', resolve)
+      req.once('error', reject)
+      req.once('aborted', onAborted)
+      req.once('close', onAborted)
+      req.pipe(counter).pipe(writeStream)
+    })
+    if (aborted) {
+      return // the client is gone
+    }
+
+    // respond
+    res.status(200).json({version: this.archiver.getArchiveVersion(req.params.key)})
+  }
+
+  // delete a file from an archive created by the user
+  async deleteFile (req, res) {
+    var {archive, path} = await this._getWritableArchive(req, res)
+
+    // make sure the file exists
+    var st = await stat(archive, path)
+    if (!st || !st.isFile()) throw new NotFoundError()
+
+    // delete the file
+    await new Promise((resolve, reject) => archive.unlink(path, err => {
+      if (err) reject(err)
+      else resolve()
+    }))
+
+    // respond
+    res.status(200).json({version: this.archiver.getArchiveVersion(req.params.key)})
+  }
+
+  // get the archive, and the file path, for a file write
+  // - only the user who created the archive can write to it
+  async _getWritableArchive (req, res) {
+    // validate session
+    if (!res.locals.session) throw new UnauthorizedError()
+    if (!res.locals.session.scopes.includes('user')) throw new ForbiddenError()
+    var userRecord = await this.usersDB.getByID(res.locals.session.id)
+
+    // validate the path
+    var path = '/' + (req.params[0] || '')
+    if (path === '/' || path.endsWith('/')) {
+      throw new NotFoundError()
+    }
+
+    // lookup the archive
+    var key = req.params.key
+    var archiveRecord = await this.archivesDB.getByKey(key)
+    if (!archiveRecord || !archiveRecord.hostingUsers.length) throw new NotFoundError()
+    if (archiveRecord.ownerId !== userRecord.id) throw new ForbiddenError()
+    var archive = await this.archiver.loadArchive(key)
+    if (!archive.writable) throw new ForbiddenError()
+
+    return {userRecord, archiveRecord, archive, path}
   }
 
   async _getArchive (key) {
     var archive = this.archiver.getArchive(key)
     if (!archive) {
       if (!this.archiver.isLoadingArchive(key)) {
-        throw new NotFoundError()
+        // reopen the archive, if it's hosted
+        let archiveRecord = await this.archivesDB.getByKey(key)
+        if (!archiveRecord || !archiveRecord.hostingUsers.length) {
+          throw new NotFoundError()
+        }
       }
       archive = await this.archiver.loadArchive(key)
     }
@@ -185,24 +552,6 @@ module.exports = class ArchivesAPI {
       wait(5e3, false)
     ])
     if (!archive) return 0
-    var {metadata, content} = archive
-
-    // some data missing, report progress at zero
-    if (!metadata || !metadata.length || !content || !content.length) {
-      return 0
-    }
-
-    // calculate & respond
-    var need = metadata.length + content.length
-    var remaining = blocksRemaining(metadata) + blocksRemaining(content)
-    return (need - remaining) / need
-  }
-}
-
-function blocksRemaining (feed) {
-  var remaining = 0
-  for (var i = 0; i < feed.length; i++) {
-    if (!feed.has(i)) remaining++
+    return this.archiver.getArchiveProgress(key)
   }
-  return remaining
 }
@@ -1,8 +1,23 @@
 var assert = require('assert')
 var querystring = require('querystring')
 var {randomBytes, hashPassword, verifyPassword} = require('../crypto')
-var {UnauthorizedError, ForbiddenError, NotFoundError} = require('../const')
+var {UnauthorizedError, ForbiddenError, NotFoundError, DAT_KEY_REGEX} = require('../const')
 var lock = require('../lock')
+var {getManifestInfo} = require('../helpers')
+
+// constants
+// =
+
+// account fields which are never given back to the user
+const SECRET_ACCOUNT_FIELDS = [
+  'passwordHash',
+  'passwordSalt',
+  'emailVerifyNonce',
+  'forgotPasswordNonce'
+]
+
+// account fields which are shown on the user's public profile
+const PROFILE_FIELDS = ['displayName', 'bio', 'website', 'avatar']
 
 // exported api
 // =
@@ -11,10 +26,15 @@ module.exports = class UsersAPI {
   constructor (cloud) {
     this.config = cloud.config
     this.usersDB = cloud.usersDB
+    this.archivesDB = cloud.archivesDB
     this.activityDB = cloud.activityDB
     this.sessions = cloud.sessions
     this.proofs = cloud.proofs
     this.mailer = cloud.mailer
+    this.quotas = cloud.quotas
+    this.bandwidth = cloud.bandwidth
+    this.bandwidthDB = cloud.bandwidthDB
+    this.archiver = cloud.archiver
   }
 
   async doRegister (req, res) {
@@ -42,15 +62,12 @@ module.exports = class UsersAPI {
     }
 
     // check if the username is reserved
-    var {reservedNames} = this.config.registration
-    if (reservedNames && Array.isArray(reservedNames) && reservedNames.length > 0) {
-      if (reservedNames.indexOf(username.toLowerCase()) !== -1) {
-        let error = {
-          message: 'That username is reserved, please choose another.',
-          reservedName: true
-        }
-        return res.status(422).json(error)
+    if (this.usersDB.isReservedName(username)) {
+      let error = {
+        message: 'That username is reserved, please choose another.',
+        reservedName: true
       }
+      return res.status(422).json(error)
     }
 
     // generate email verification nonce
@@ -89,7 +106,7 @@ module.exports = class UsersAPI {
         email,
         passwordHash,
         passwordSalt,
-        emailVerificationNonce
+        emailVerifyNonce: emailVerificationNonce
       })
     } finally {
       release[0]()
@@ -138,7 +155,7 @@ module.exports = class UsersAPI {
       }
 
       // compare email nonce
-      if (nonce !== userRecord.emailVerificationNonce) {
+      if (nonce !== userRecord.emailVerifyNonce) {
         return res.status(422).json({
           message: 'Invalid verification code',
           invalidNonce: true
@@ -146,7 +163,7 @@ module.exports = class UsersAPI {
       }
 
       // update user record
-      userRecord.emailVerificationNonce = null
+      userRecord.emailVerifyNonce = null
       userRecord.isEmailVerified = true
       if (!userRecord.scopes.includes('user')) {
         userRecord.scopes.push('user')
@@ -185,26 +202,92 @@ module.exports = class UsersAPI {
     }
 
     // respond
+    if (req.query.view === 'bandwidth') {
+      return res.status(200).json(await this.bandwidth.getUserBandwidth(userRecord.id))
+    }
     res.status(200).json({
       email: userRecord.email,
       username: userRecord.username,
       profileURL: userRecord.profileURL,
-      profileVerifyToken: userRecord.profileVerifyToken
+      profileVerifyToken: userRecord.profileVerifyToken,
+      isProfileDatVerified: userRecord.isProfileDatVerified,
+      displayName: userRecord.displayName,
+      bio: userRecord.bio,
+      website: userRecord.website,
+      avatar: userRecord.avatar,
+      diskUsage: await this.quotas.getDiskUsage(userRecord),
+      diskQuota: this.quotas.getDiskQuota(userRecord),
+      maxArchiveSize: this.quotas.getMaxArchiveSize(userRecord)
     })
   }
 
-  async updateAccount (req, res) {
-    // TODO: support username changes -prf
-    // TODO: support profileURL changes -prf
+  // give everything stored about the user, for data portability
+  async exportAccount (req, res) {
+    // validate session
+    if (!res.locals.session) throw new UnauthorizedError()
+
+    // fetch user record
+    var userRecord = await this.usersDB.getByID(res.locals.session.id)
+    if (!userRecord) {
+      return res.status(500).json({
+        message: 'Session user record not found',
+        userRecordNotFound: true
+      })
+    }
+
+    // the account, without its secrets
+    var account = Object.assign({}, userRecord)
+    SECRET_ACCOUNT_FIELDS.forEach(field => delete account[field])
+
+    // the archives, with the info kept about them
+    var archives = await Promise.all(userRecord.archives.map(async ({key, name}) => {
+      var archiveRecord = await this.archivesDB.getByKey(key)
+      return Object.assign({key, name}, getManifestInfo(archiveRecord), {
+        diskUsage: archiveRecord ? archiveRecord.diskUsage : 0,
+        isVerified: !!archiveRecord && archiveRecord.isVerified && archiveRecord.verifiedBy === userRecord.id
+      })
+    }))
 
+    // respond
+    var [activity, hourly, daily, diskUsage] = await Promise.all([
+      this.activityDB.listUserEvents(userRecord.id),
+      this.bandwidthDB.list('user', userRecord.id, 'hour'),
+      this.bandwidthDB.list('user', userRecord.id, 'day'),
+      this.quotas.getDiskUsage(userRecord)
+    ])
+    res.setHeader('Content-Disposition', `attachment; filename="${userRecord.username}.json"`)
+    res.status(200).json({
+      hostname: this.config.hostname,
+      exportedAt: Date.now(),
+      account,
+      archives,
+      activity,
+      bandwidth: {hourly, daily},
+      diskUsage,
+      diskQuota: this.quotas.getDiskQuota(userRecord)
+    })
+  }
+
+  async updateAccount (req, res) {
     // validate session
     if (!res.locals.session) throw new UnauthorizedError()
 
     // validate & sanitize input
-    req.checkBody('profileURL').isDatURL()
+    req.checkBody('username').optional()
+      .isAlphanumeric().withMessage('Can only be letters and numbers.')
+      .isLength({ min: 3, max: 16 }).withMessage('Must be 3 to 16 characters.')
+    req.checkBody('profileURL').optional().isDatURL()
+    req.checkBody('displayName', 'Must be up to 64 characters.').optional({ checkFalsy: true })
+      .isString().isLength({ max: 64 })
+    req.checkBody('bio', 'Must be up to 500 characters.').optional({ checkFalsy: true })
+      .isString().isLength({ max: 500 })
+    req.checkBody('website', 'Must be an http or https url.').optional({ checkFalsy: true })
+      .isWebsiteURL()
+    req.checkBody('avatar', 'Must be an http or https url, or the path of a file in your profile dat.').optional({ checkFalsy: true })
+      .isAvatar()
     ;(await req.getValidationResult()).throw()
-    req.sanitizeBody('profileURL').toDatDomain()
-    var { profileURL } = req.body
+    if (req.body.profileURL) req.sanitizeBody('profileURL').toDatDomain()
+    var { username, profileURL } = req.body
 
     // fetch user record
     var userRecord = await this.usersDB.getByID(res.locals.session.id)
@@ -215,23 +298,42 @@ module.exports = class UsersAPI {
       })
     }
 
-    // new profile dat?
-    if (profileURL && profileURL !== userRecord.profileURL) {
-      // remove old profile-dat from swarm
-      // TODO
+    // new username?
+    if (username && username !== userRecord.username) {
+      userRecord = await this.usersDB.rename(userRecord.id, username)
+    }
 
-      // add new profile-dat to swarm
-      // TODO
+    // update the public profile (empty values clear the field)
+    PROFILE_FIELDS.forEach(field => {
+      if (typeof req.body[field] !== 'undefined') userRecord[field] = req.body[field] || null
+    })
+
+    // new profile dat?
+    var oldProfileURL = userRecord.profileURL
+    var isNewProfileURL = profileURL && profileURL !== oldProfileURL
+    if (isNewProfileURL) {
+      // put() only updates the new values' indexes, so drop the old profile url's first
+      if (oldProfileURL) await this.usersDB.indexer.removeIndexes(userRecord)
 
       // generate a new proof & update record
+      userRecord.profileURL = profileURL
       userRecord.profileVerifyToken = this.proofs.generate(userRecord)
       userRecord.isProfileDatVerified = false
-      userRecord.profileURL = profileURL
     }
 
     // update user record
     await this.usersDB.put(userRecord)
 
+    if (isNewProfileURL) {
+      // remove old profile-dat from swarm
+      if (oldProfileURL) {
+        /* dont await */ this._unloadProfileDat(oldProfileURL).catch(err => console.error('[ERROR] Failed to unload profile dat', oldProfileURL, err))
+      }
+
+      // add new profile-dat to swarm
+      /* dont await */ this.archiver.loadArchive(DAT_KEY_REGEX.exec(profileURL)[1]).catch(err => console.error('[ERROR] Failed to load profile dat', profileURL, err))
+    }
+
     // respond
     res.status(200).end()
   }
@@ -300,6 +402,63 @@ module.exports = class UsersAPI {
     res.status(200).end()
   }
 
+  async deleteAccount (req, res) {
+    // validate session
+    if (!res.locals.session) throw new UnauthorizedError()
+
+    // validate & sanitize input
+    req.checkBody('password', 'Must be 6 to 100 characters.').isLength({ min: 6, max: 100 })
+    ;(await req.getValidationResult()).throw()
+    var { password } = req.body
+
+    // confirm the password
+    var userRecord
+    try {
+      userRecord = await this.usersDB.getByID(res.locals.session.id)
+      assert(verifyPassword(password, userRecord))
+    } catch (e) {
+      return res.status(422).json({
+        message: 'Invalid password',
+        invalidCredentials: true
+      })
+    }
+
+    // this lock is shared with addArchive & removeArchive, so the account can't change mid-delete
+    var release = await lock('users:update:' + userRecord.id)
+    try {
+      userRecord = await this.usersDB.getByID(userRecord.id)
+
+      // stop hosting the user's archives, and remove the ones no one else hosts from the swarm
+      // (their data is deleted by the dead-archives cleanup)
+      for (let {key} of userRecord.archives) {
+        await this.archivesDB.removeHostingUser(key, userRecord.id)
+        let archiveRecord = await this.archivesDB.getByKey(key)
+        if (!archiveRecord || !archiveRecord.hostingUsers.length) {
+          await this.archiver.closeArchive(key)
+        }
+      }
+
+      // scrub the user's activity & bandwidth, and delete the record & its indexes
+      await this.activityDB.delUserEvents(userRecord.id)
+      await this.bandwidthDB.del('user', userRecord.id)
+      await this.usersDB.del(userRecord)
+    } finally {
+      release()
+    }
+    if (userRecord.profileURL) {
+      /* dont await */ this._unloadProfileDat(userRecord.profileURL).catch(err => console.error('[ERROR] Failed to unload profile dat', userRecord.profileURL, err))
+    }
+
+    // end the session
+    res.clearCookie('sess', {
+      httpOnly: true,
+      secure: (this.config.env !== 'development')
+    })
+
+    // respond
+    res.status(200).end()
+  }
+
   async doLogin (req, res) {
     // validate & sanitize input
     req.checkBody('username', 'Invalid username.').isAlphanumeric().isLength({ min: 3, max: 16 })
@@ -389,19 +548,28 @@ module.exports = class UsersAPI {
 
     // lookup user
     var userRecord = await this.usersDB.getByUsername(username)
-    if (!userRecord) throw new NotFoundError()
+    if (!userRecord) {
+      // redirect from the previous name of a renamed user
+      let renamedRecord = await this.usersDB.getByPreviousUsername(username)
+      if (!renamedRecord) throw new NotFoundError()
+      return res.redirect(302, `/v1/users/${renamedRecord.username}` + req.url.slice(req.path.length))
+    }
 
     // respond
     switch (req.query.view) {
       case 'archives':
         res.status(200).json({
-          archives: userRecord.archives
+          archives: await Promise.all(userRecord.archives.map(async ({key, name}) => {
+            var archiveRecord = await this.archivesDB.getByKey(key)
+            var takedown = (archiveRecord && archiveRecord.takedown) || null
+            return Object.assign({key, name}, getManifestInfo(archiveRecord), {takedown})
+          }))
         })
         break
 
       case 'activity':
         res.status(200).json({
-          activity: await this.activityDB.listUserEvents(username, {
+          activity: await this.activityDB.listUserEvents(userRecord.id, {
             limit: 25,
             lt: req.query.start,
             reverse: true
@@ -412,9 +580,37 @@ module.exports = class UsersAPI {
       default:
         res.status(200).json({
           username,
-          createdAt: userRecord.createdAt
+          createdAt: userRecord.createdAt,
+          displayName: userRecord.displayName || null,
+          bio: userRecord.bio || null,
+          website: userRecord.website || null,
+          avatar: getAvatarURL(userRecord)
         })
         break
     }
   }
+
+  // internal
+  // =
+
+  async _unloadProfileDat (profileURL) {
+    var key = DAT_KEY_REGEX.exec(profileURL)[1]
+
+    // keep swarming if the dat is still in use
+    var archiveRecord = await this.archivesDB.getByKey(key)
+    if (archiveRecord && archiveRecord.hostingUsers.length) return
+    var userRecord = await this.usersDB.getByProfileURL(profileURL)
+    if (userRecord && userRecord.profileURL === profileURL) return // (the index may be stale)
+
+    await this.archiver.closeArchive(key)
+  }
+}
+
+// give the url of the user's avatar, or null
+// - paths are files in the profile dat, which is only trusted once verified
+function getAvatarURL ({avatar, profileURL, isProfileDatVerified}) {
+  if (!avatar) return null
+  if (!avatar.startsWith('/')) return avatar
+  if (!profileURL || !isProfileDatVerified) return null
+  return profileURL + avatar.slice(1) // (profileURL ends with a slash)
 }
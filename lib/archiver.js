@@ -1,29 +1,86 @@
+var EventEmitter = require('events')
+var fs = require('fs')
 var path = require('path')
 var promisify = require('es6-promisify')
 var hyperdrive = require('hyperdrive')
+var hypercore = require('hypercore')
+var raf = require('random-access-file')
+var signatures = require('sodium-signatures')
+var protocol = require('hypercore-protocol')
 var datEncoding = require('dat-encoding')
 var discoverySwarm = require('discovery-swarm')
 var swarmDefaults = require('datland-swarm-defaults')
+var LRU = require('lru')
+var bytes = require('bytes')
 var mkdirp = require('mkdirp')
+var rimraf = require('rimraf')
 var debug = require('debug')('archiver')
+var {UnavailableForLegalReasonsError} = require('./const')
 
 mkdirp = promisify(mkdirp)
+rimraf = promisify(rimraf)
+var rename = promisify(fs.rename)
+var stat = promisify(fs.stat)
+
+// constants
+// =
+
+// how long to wait after a feed changes before emitting 'archive-size'
+const SIZE_UPDATE_DELAY = 1e3
+
+// how often to emit 'archive-progress' while a feed is downloading
+const PROGRESS_UPDATE_INTERVAL = 250
+
+// how many archives can be open at once, if the config does not say
+const DEFAULT_MAX_OPEN_ARCHIVES = 100
+
+// how big an archive can get, if the config does not say
+const DEFAULT_MAX_ARCHIVE_SIZE = '1gb'
 
 // exported api
 // =
 
-module.exports = class Archiver {
+module.exports = class Archiver extends EventEmitter {
   constructor (config) {
+    super()
     this.config = config
     this.archives = {}
     this.loadPromises = {}
+    this.pausedDownloads = {} // keys of archives with paused downloads (kept while closed)
+
+    // bound the size of archives
+    // - archives that go over stop replicating, so one runaway dat can't fill the disk
+    this.maxArchiveSize = bytes.parse(config.maxArchiveSize || DEFAULT_MAX_ARCHIVE_SIZE)
+    this.archiveSizeLimits = {} // key => bytes, of archives with a different limit (eg set by their hosting users)
+    this.oversizedArchives = {} // key => bytes, of archives over their limit (kept while closed)
+
+    // archives which have been taken down
+    // - they're never loaded or swarmed, until unblocked
+    this.blockedArchives = {} // key => reason
+
+    // bound the number of open archives
+    // - the least-recently used archive is closed, but keeps seeding
+    this.openArchives = new LRU(config.maxOpenArchives || DEFAULT_MAX_OPEN_ARCHIVES)
+    this.openArchives.on('evict', ({key}) => {
+      this._closeArchiveInner(key).catch(err => console.error('[ERROR] Failed to close archive', key, err))
+    })
+
+    // all archives share one swarm
+    // - connections are routed to the archive by discovery key, and closed archives are reopened when a peer connects
+    this.swarm = null // created on first use
+    this.swarmKeys = {} // discovery key => key, of the swarmed archives
+
+    // each live-status request listens for events
+    this.setMaxListeners(0)
   }
 
   // methods
   // =
 
   getArchive (key) {
-    return this.archives[key]
+    var archive = this.archives[key]
+    if (archive) this.openArchives.get(key) // mark as recently used
+    return archive
   }
 
   isLoadingArchive (key) {
@@ -31,12 +88,18 @@ module.exports = class Archiver {
   }
 
   // load archive (wrapper) manages load promises
-  async loadArchive (key) {
+  // - `secretKey` is only given by createArchive()
+  async loadArchive (key, {secretKey} = {}) {
     key = datEncoding.toStr(key)
 
+    // refuse taken-down archives
+    if (this.isArchiveBlocked(key)) {
+      throw new UnavailableForLegalReasonsError(this.blockedArchives[key])
+    }
+
     // fallback to archive if it exists
     if (key in this.archives) {
-      return this.archives[key]
+      return this.getArchive(key)
     }
 
     // fallback to the promise, if it exists
@@ -44,12 +107,8 @@ module.exports = class Archiver {
       return this.loadPromises[key]
     }
 
-    // ensure the folder exists
-    var archivePath = this._getArchiveFilesPath(key)
-    await mkdirp(archivePath)
-
     // run and cache the promise
-    var p = this._loadArchiveInner(archivePath, key)
+    var p = this._getArchiveStorage(key, {secretKey}).then(storage => this._loadArchiveInner(storage, key, {secretKey}))
     this.loadPromises[key] = p
 
     // when done, clear the promise
@@ -57,26 +116,216 @@ module.exports = class Archiver {
     p.then(clear, clear)
 
     // when done, save the archive instance
-    p.then(archive => { this.archives[key] = archive })
+    p.then(archive => {
+      this.archives[key] = archive
+      this.openArchives.set(key, true) // may evict another archive
+      this.emit('load-archive', key, archive)
+    })
 
     return p
   }
 
+  // create a new archive, which the server holds the secret key for
+  // - the secret key is stored apart from the archive's data, so it's writable whenever it's loaded
+  async createArchive () {
+    var {publicKey, secretKey} = signatures.keyPair()
+    var key = datEncoding.toStr(publicKey)
+    await this.loadArchive(key, {secretKey})
+    debug('Created archive', key)
+    return key
+  }
+
+  // join the swarm for the archive, without opening it
+  // - the archive is loaded when a peer connects
+  announceArchive (key) {
+    key = datEncoding.toStr(key)
+    if (this.isArchiveBlocked(key)) {
+      return // taken down
+    }
+    var dkey = datEncoding.toStr(hypercore.discoveryKey(datEncoding.toBuf(key)))
+    if (dkey in this.swarmKeys) {
+      return // already announced
+    }
+    this.swarmKeys[dkey] = key
+    this._getSwarm().join(datEncoding.toBuf(dkey))
+    debug('Swarming archive', key, 'discovery key', dkey)
+  }
+
+  // close the archive and stop seeding it
   async closeArchive (key) {
     key = datEncoding.toStr(key)
-    var archive = this.archives[key]
-    if (archive) {
-      archive.replicationStreams.forEach(s => s.destroy())
-      archive.swarm.close()
-      await new Promise(resolve => archive.close(resolve))
-      delete this.archives[key]
+    this._unannounceArchive(key)
+    await this._closeArchiveInner(key)
+  }
+
+  // close and reopen the archive
+  // - drops its connections and download state, then looks for peers again and fetches any missing blocks
+  async reloadArchive (key) {
+    key = datEncoding.toStr(key)
+    if (key in this.loadPromises) {
+      await this.loadPromises[key].catch(() => {})
     }
+    await this.closeArchive(key)
+    debug('Reloading archive', key)
+    return this.loadArchive(key)
+  }
+
+  // close the archive and delete its data from disk
+  // close the archive, and delete its data and server-held secret key
+  // - with `keepSecretKey`, the archive is writable again if it's reloaded
+  async deleteArchive (key, {keepSecretKey = false} = {}) {
+    key = datEncoding.toStr(key)
+    if (key in this.loadPromises) {
+      await this.loadPromises[key].catch(() => {})
+    }
+    await this.closeArchive(key)
+    delete this.pausedDownloads[key]
+    delete this.oversizedArchives[key]
+    await rimraf(this._getArchiveFilesPath(key))
+    if (!keepSecretKey) {
+      await rimraf(this._getSecretKeyPath(key))
+    }
+    debug('Deleted archive', key)
+  }
+
+  // take the archive down: close it, purge its data, and refuse to load or swarm it again
+  // - the data is gone for good (unblocking syncs it again from peers), but a server-held secret key is kept
+  async blockArchive (key, reason) {
+    key = datEncoding.toStr(key)
+    this.blockedArchives[key] = reason
+    await this.deleteArchive(key, {keepSecretKey: true})
+    debug('Blocked archive', key)
+  }
+
+  // allow the archive to be loaded again
+  // (it has to be re-announced or loaded to sync again)
+  unblockArchive (key) {
+    key = datEncoding.toStr(key)
+    delete this.blockedArchives[key]
+    debug('Unblocked archive', key)
+  }
+
+  isArchiveBlocked (key) {
+    return key in this.blockedArchives
   }
 
   async closeAllArchives () {
-    return Promise.all(Object.keys(this.archives).map(key =>
+    await Promise.all(Object.keys(this.archives).map(key =>
       this.closeArchive(key)
     ))
+    if (this.swarm) {
+      this.swarm.destroy()
+      this.swarm = null
+      this.swarmKeys = {}
+    }
+  }
+
+  // stop fetching the archive's content (metadata continues to sync)
+  pauseDownload (key) {
+    if (this.pausedDownloads[key]) return
+    this.pausedDownloads[key] = true
+    var archive = this.archives[key]
+    if (archive && archive.content) archive.content.undownload({start: 0, end: -1})
+    debug('Paused download of', key)
+  }
+
+  resumeDownload (key) {
+    if (!this.pausedDownloads[key]) return
+    delete this.pausedDownloads[key]
+    var archive = this.archives[key]
+    if (archive && archive.content && !this.isArchiveOversized(key)) archive.content.download({start: 0, end: -1})
+    debug('Resumed download of', key)
+  }
+
+  isDownloadPaused (key) {
+    return !!this.pausedDownloads[key]
+  }
+
+  // get the most bytes the archive may take up
+  getArchiveSizeLimit (key) {
+    return (key in this.archiveSizeLimits) ? this.archiveSizeLimits[key] : this.maxArchiveSize
+  }
+
+  // change the archive's size limit (null to use the default), and re-check its size
+  setArchiveSizeLimit (key, limit) {
+    if (typeof limit === 'number') this.archiveSizeLimits[key] = limit
+    else delete this.archiveSizeLimits[key]
+
+    var archive = this.archives[key]
+    if (archive) {
+      this._checkArchiveSize(key, archive)
+    } else if (this.isArchiveOversized(key) && this.oversizedArchives[key] <= this.getArchiveSizeLimit(key)) {
+      // rejoin the swarm, and check again when a peer reopens it
+      var size = this.oversizedArchives[key]
+      delete this.oversizedArchives[key]
+      this.emit('archive-oversized', key, false, size)
+      this.announceArchive(key)
+    }
+  }
+
+  isArchiveOversized (key) {
+    return key in this.oversizedArchives
+  }
+
+  // get the number of bytes the archive will take up, once fully synced
+  getArchiveDiskUsage (key) {
+    var archive = this.archives[key]
+    return archive ? diskUsage(archive) : 0
+  }
+
+  // get the percentage (from 0 to 1) of the archive's blocks that have been downloaded
+  getArchiveProgress (key) {
+    var archive = this.archives[key]
+    if (!archive) return 0
+    var {metadata, content, numDownloaded} = archive
+
+    // some data missing, report progress at zero
+    if (!metadata || !metadata.length || !content || !content.length) {
+      return 0
+    }
+
+    var need = metadata.length + content.length
+    return Math.min(numDownloaded.metadata + numDownloaded.content, need) / need
+  }
+
+  // get the archive's version (the seq of its latest metadata entry)
+  // - hyperdrive's archive.version isn't updated by remote writes, so this reads the feed length
+  getArchiveVersion (key) {
+    var archive = this.archives[key]
+    return archive ? archive.metadata.length - 1 : -1
+  }
+
+  // get a read-only snapshot of the archive at the given version
+  // - gives null if the archive isn't open, or doesn't have the version yet
+  async checkoutArchive (key, version) {
+    var archive = this.archives[key]
+    if (!archive || version > this.getArchiveVersion(key)) return null
+    var checkout = archive.checkout(version)
+    await new Promise((resolve, reject) => checkout.ready(err => {
+      if (err) reject(err)
+      else resolve()
+    }))
+    return checkout
+  }
+
+  // count the open and loading archives, and the peers connected to them
+  getStats () {
+    var numPeers = 0
+    for (let key in this.archives) {
+      numPeers += this.archives[key].replicationStreams.length
+    }
+    return {
+      numLoadedArchives: Object.keys(this.archives).length,
+      numLoadingArchives: Object.keys(this.loadPromises).length,
+      numPeers
+    }
+  }
+
+  // list the peers that the archive is replicating with
+  getArchivePeers (key) {
+    var archive = this.archives[key]
+    if (!archive) return []
+    return archive.replicationStreams.map(stream => Object.assign({}, stream.peerInfo))
   }
 
   // internal
@@ -86,10 +335,178 @@ module.exports = class Archiver {
     return path.join(this.config.dir, 'archives', key.slice(0, 2), key.slice(2))
   }
 
+  _getSecretKeyPath (key) {
+    return path.join(this.config.dir, 'secret-keys', key.slice(0, 2), key.slice(2))
+  }
+
+  // get the storage for the archive, and make sure its folder exists
+  // - the secret keys of server-held archives are kept outside of the data folder,
+  //   so they outlive the data being deleted (eg by a takedown)
+  async _getArchiveStorage (key, {secretKey}) {
+    var archivePath = this._getArchiveFilesPath(key)
+    var secretKeyPath = this._getSecretKeyPath(key)
+    await mkdirp(archivePath)
+
+    // move the key out of the data folder, where older versions stored it
+    var oldSecretKeyPath = path.join(archivePath, 'metadata', 'secret_key')
+    if (await getFileSize(oldSecretKeyPath) > 0) {
+      await mkdirp(path.dirname(secretKeyPath))
+      await rename(oldSecretKeyPath, secretKeyPath)
+    }
+
+    if (!secretKey && !(await getFileSize(secretKeyPath))) {
+      return archivePath // not held by the server
+    }
+    return name => raf(name === 'metadata/secret_key' ? secretKeyPath : path.join(archivePath, name))
+  }
+
+  // close the archive, but stay in the swarm
+  // (used directly to close least-recently used archives)
+  async _closeArchiveInner (key) {
+    var archive = this.archives[key]
+    if (archive) {
+      clearTimeout(archive.sizeUpdateTimeout)
+      clearTimeout(archive.sizeCheckTimeout)
+      clearTimeout(archive.progressUpdateTimeout)
+      archive.replicationStreams.forEach(s => s.destroy())
+      await new Promise(resolve => archive.close(resolve))
+      delete this.archives[key]
+      this.openArchives.remove(key)
+      this.emit('close-archive', key, archive)
+      debug('Closed archive', key)
+    }
+  }
+
+  _unannounceArchive (key) {
+    var dkey = datEncoding.toStr(hypercore.discoveryKey(datEncoding.toBuf(key)))
+    if (dkey in this.swarmKeys) {
+      delete this.swarmKeys[dkey]
+      this.swarm.leave(datEncoding.toBuf(dkey))
+    }
+  }
+
+  // stop replicating the archive if it has grown past its size limit
+  // (or start again, if the limit was raised)
+  // - gives true if the archive is oversized
+  _checkArchiveSize (key, archive) {
+    var size = expectedDiskUsage(archive)
+    var isOversized = size > this.getArchiveSizeLimit(key)
+    var wasOversized = this.isArchiveOversized(key)
+    if (isOversized) {
+      this.oversizedArchives[key] = size
+    } else {
+      delete this.oversizedArchives[key]
+    }
+    if (isOversized === wasOversized) {
+      return isOversized
+    }
+
+    if (isOversized) {
+      debug('Archive %s is over its size limit (%d bytes), stopping replication', key, size)
+      this._unannounceArchive(key)
+      archive.replicationStreams.slice().forEach(s => s.destroy())
+      if (archive.content) archive.content.undownload({start: 0, end: -1})
+    } else {
+      debug('Archive %s is back under its size limit, resuming replication', key)
+      if (archive.content && !this.isDownloadPaused(key)) archive.content.download({start: 0, end: -1})
+      this.announceArchive(key)
+    }
+    this.emit('archive-oversized', key, isOversized, size)
+    return isOversized
+  }
+
+  _getSwarm () {
+    if (!this.swarm) {
+      this.swarm = discoverySwarm(swarmDefaults({
+        hash: false,
+        utp: true,
+        tcp: true,
+        stream: info => this._onSwarmConnection(info)
+      }))
+      this.swarm.listen(this.config.datPort)
+      this.swarm.on('error', err => debug('Swarm error', err))
+    }
+    return this.swarm
+  }
+
+  // route a connection on the shared swarm to its archive, by discovery key
+  _onSwarmConnection (info) {
+    var stream = protocol({id: this.swarm.id, live: true, expectedFeeds: 2})
+
+    // track the connection stats
+    stream.peerInfo = {
+      type: info.type,
+      host: info.host,
+      port: info.port,
+      connectedAt: Date.now(),
+      bytesUploaded: 0,
+      bytesDownloaded: 0
+    }
+    // - once routed, the traffic is also counted against the archive
+    stream.on('data', chunk => {
+      stream.peerInfo.bytesUploaded += chunk.length
+      if (stream.archiveKey) this.emit('archive-bandwidth', stream.archiveKey, {bytesUploaded: chunk.length})
+    })
+    stream.once('pipe', wire => {
+      wire.on('data', chunk => {
+        stream.peerInfo.bytesDownloaded += chunk.length
+        if (stream.archiveKey) this.emit('archive-bandwidth', stream.archiveKey, {bytesDownloaded: chunk.length})
+      })
+    })
+
+    const route = dkey => {
+      var key = this.swarmKeys[datEncoding.toStr(dkey)]
+      if (!key) {
+        return stream.destroy(new Error('Unknown discovery key'))
+      }
+      stream.archiveKey = key
+      this.loadArchive(key).then(
+        archive => { if (!stream.destroyed) this._replicate(archive, info, stream) },
+        err => stream.destroy(err)
+      )
+    }
+    if (info.channel) route(info.channel)
+    else stream.once('feed', route)
+    return stream
+  }
+
+  // start replicating the archive on the protocol stream
+  _replicate (archive, info, stream) {
+    var key = datEncoding.toStr(archive.key)
+    var dkey = datEncoding.toStr(archive.discoveryKey)
+    var chan = dkey.slice(0, 6) + '..' + dkey.slice(-2)
+    var keyStrShort = key.slice(0, 6) + '..' + key.slice(-2)
+    debug('new connection chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort)
+
+    // create the replication stream
+    stream = archive.replicate({live: true, stream})
+    archive.replicationStreams.push(stream)
+    this.emit('archive-peers', key, archive.replicationStreams.length)
+    stream.once('close', () => {
+      var rs = archive.replicationStreams
+      var i = rs.indexOf(stream)
+      if (i !== -1) rs.splice(rs.indexOf(stream), 1)
+      this.emit('archive-peers', key, rs.length)
+    })
+
+    // timeout the connection after 5s if handshake does not occur
+    var TO = setTimeout(() => {
+      debug('handshake timeout chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort)
+      stream.destroy(new Error('Timed out waiting for handshake'))
+    }, 5000)
+    stream.once('handshake', () => clearTimeout(TO))
+    stream.once('close', () => clearTimeout(TO))
+
+    // debugging
+    stream.on('error', err => debug('error chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort, err))
+    stream.on('close', () => debug('closing connection chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort))
+    return stream
+  }
+
   // load archive (inner) main load logic
-  async _loadArchiveInner (archivePath, key) {
+  async _loadArchiveInner (storage, key, {secretKey}) {
     // create the archive instance
-    var archive = hyperdrive(archivePath, key, {sparse: false})
+    var archive = hyperdrive(storage, key, {sparse: false, secretKey})
     archive.replicationStreams = [] // list of all active replication streams
 
     // wait for ready
@@ -100,46 +517,106 @@ module.exports = class Archiver {
       })
     })
 
-    // join the swarm
-    var swarm = discoverySwarm(swarmDefaults({
-      hash: false,
-      utp: true,
-      tcp: true,
-      stream: (info) => {
-        var dkey = datEncoding.toStr(archive.discoveryKey)
-        var chan = dkey.slice(0, 6) + '..' + dkey.slice(-2)
-        var keyStrShort = key.slice(0, 6) + '..' + key.slice(-2)
-        debug('new connection chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort)
-
-        // create the replication stream
-        var stream = archive.replicate({live: true})
-        archive.replicationStreams.push(stream)
-        stream.once('close', () => {
-          var rs = archive.replicationStreams
-          var i = rs.indexOf(stream)
-          if (i !== -1) rs.splice(rs.indexOf(stream), 1)
+    // track the archive size as the feeds grow
+    // - the limit is checked right away, but the size is only recorded once the changes settle
+    const onSizeCheck = () => {
+      clearTimeout(archive.sizeCheckTimeout)
+      archive.sizeCheckTimeout = setTimeout(() => this._checkArchiveSize(key, archive), 0)
+    }
+    const onSizeChange = () => {
+      onSizeCheck()
+      clearTimeout(archive.sizeUpdateTimeout)
+      archive.sizeUpdateTimeout = setTimeout(() => {
+        this.emit('archive-size', key, diskUsage(archive))
+      }, SIZE_UPDATE_DELAY)
+    }
+
+    // track the sync progress
+    // - the blocks are counted once, then as they download, so reading the progress is cheap
+    archive.numDownloaded = {metadata: 0, content: 0}
+    const onProgress = () => {
+      if (archive.progressUpdateTimeout) return
+      archive.progressUpdateTimeout = setTimeout(() => {
+        archive.progressUpdateTimeout = null
+        this.emit('archive-progress', key, this.getArchiveProgress(key))
+      }, PROGRESS_UPDATE_INTERVAL)
+    }
+    const trackProgress = (name, feed) => {
+      archive.numDownloaded[name] = countDownloaded(feed)
+      feed.on('download', () => {
+        archive.numDownloaded[name]++
+        onProgress()
+      })
+      feed.on('append', () => {
+        // local writes dont emit 'download'
+        if (feed.writable) archive.numDownloaded[name] = feed.length
+        onProgress()
+      })
+    }
+
+    // watch the archive's size as the metadata arrives, before the content is fetched
+    // - each file entry gives the content feed's length at the time it was written
+    archive.expectedContentSize = 0
+    const onMetadataEntry = index => {
+      if (index === 0) return // the header
+      archive.tree.history({start: index, end: index + 1})
+        .on('data', ({value}) => {
+          if (!value || typeof value.byteOffset !== 'number') return // a deletion
+          archive.expectedContentSize = Math.max(archive.expectedContentSize, value.byteOffset + value.size)
+          onSizeCheck()
         })
+        .on('error', err => debug('Failed to read metadata entry %d of %s', index, key, err))
+    }
+    archive.metadata.on('download', onMetadataEntry)
+    if (archive.metadata.length > 1 && archive.metadata.has(archive.metadata.length - 1)) {
+      onMetadataEntry(archive.metadata.length - 1) // the latest entry on disk
+    }
 
-        // timeout the connection after 5s if handshake does not occur
-        var TO = setTimeout(() => {
-          debug('handshake timeout chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort)
-          stream.destroy(new Error('Timed out waiting for handshake'))
-        }, 5000)
-        stream.once('handshake', () => clearTimeout(TO))
-
-        // debugging
-        stream.on('error', err => debug('error chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort, err))
-        stream.on('close', () => debug('closing connection chan=%s type=%s host=%s key=%s', chan, info.type, info.host, keyStrShort))
-        return stream
-      }
-    }))
-    swarm.listen(this.config.datPort)
-    swarm.on('error', err => debug('Swarm error for', key, err))
-    swarm.join(archive.discoveryKey)
+    const onContent = () => {
+      // the content feed downloads everything by default, so undo that if paused or oversized
+      if (this.isDownloadPaused(key) || this.isArchiveOversized(key)) archive.content.undownload({start: 0, end: -1})
+      archive.content.on('append', onSizeChange)
+      trackProgress('content', archive.content)
+      onSizeChange()
+      onProgress()
+    }
+    archive.metadata.on('append', onSizeChange)
+    archive.metadata.on('append', () => this.emit('archive-version', key, archive.metadata.length - 1))
+    trackProgress('metadata', archive.metadata)
+    if (archive.content) onContent()
+    else archive.once('content', onContent)
 
-    debug('Swarming archive', key, 'discovery key', datEncoding.toStr(archive.discoveryKey))
-    archive.swarm = swarm
+    // join the swarm, unless it's already too big
+    if (!this._checkArchiveSize(key, archive)) {
+      this.announceArchive(key)
+    }
 
     return archive
   }
 }
+
+function countDownloaded (feed) {
+  var n = 0
+  for (var i = 0; i < feed.length; i++) {
+    if (feed.has(i)) n++
+  }
+  return n
+}
+
+function diskUsage ({metadata, content}) {
+  return (metadata ? metadata.byteLength : 0) + (content ? content.byteLength : 0)
+}
+
+// the disk usage, including the content which the metadata says is coming
+function expectedDiskUsage (archive) {
+  return Math.max(diskUsage(archive), archive.metadata.byteLength + (archive.expectedContentSize || 0))
+}
+
+// get the size of the file, or 0 if it doesnt exist
+async function getFileSize (filePath) {
+  try {
+    return (await stat(filePath)).size
+  } catch (e) {
+    return 0
+  }
+}
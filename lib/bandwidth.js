@@ -0,0 +1,85 @@
+var ms = require('ms')
+var debug = require('debug')('bandwidth')
+
+// constants
+// =
+
+// how often to write the counted bytes to the db, if the config does not say
+const DEFAULT_FLUSH_INTERVAL = '10s'
+
+// how many totals to report
+const NUM_HOURS = 24
+const NUM_DAYS = 30
+
+// exported api
+// =
+
+module.exports = class Bandwidth {
+  constructor (cloud) {
+    this.config = cloud.config
+    this.archivesDB = cloud.archivesDB
+    this.bandwidthDB = cloud.bandwidthDB
+    this.archiver = cloud.archiver
+    this.pending = {} // key => counts, not yet written to the db
+
+    // count the replication traffic
+    this.archiver.on('archive-bandwidth', (key, counts) => this.count(key, counts))
+
+    // counting happens on every chunk, so the totals are written in batches
+    var interval = (this.config.bandwidth && this.config.bandwidth.flushInterval) || DEFAULT_FLUSH_INTERVAL
+    if (typeof interval === 'string') interval = ms(interval)
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(err => console.error('[ERROR] Failed to write bandwidth totals', err))
+    }, interval)
+    this.flushInterval.unref()
+  }
+
+  // add to the archive's counts
+  // - counts is {bytesUploaded, bytesDownloaded, bytesServed}, all optional
+  count (key, counts) {
+    var pending = this.pending[key] = this.pending[key] || {bytesUploaded: 0, bytesDownloaded: 0, bytesServed: 0}
+    for (let k in pending) {
+      pending[k] += (counts[k] || 0)
+    }
+  }
+
+  // write the pending counts to the totals of the archives and their hosting users
+  async flush () {
+    var pending = this.pending
+    this.pending = {}
+    for (let key in pending) {
+      await this.bandwidthDB.add('archive', key, pending[key])
+      let archiveRecord = await this.archivesDB.getByKey(key)
+      if (archiveRecord) {
+        for (let userId of archiveRecord.hostingUsers) {
+          await this.bandwidthDB.add('user', userId, pending[key])
+        }
+      }
+      debug('Wrote bandwidth of %s', key, pending[key])
+    }
+  }
+
+  async getArchiveBandwidth (key) {
+    return this._getBandwidth('archive', key)
+  }
+
+  async getUserBandwidth (userId) {
+    return this._getBandwidth('user', userId)
+  }
+
+  async close () {
+    clearInterval(this.flushInterval)
+    await this.flush()
+  }
+
+  // internal
+  // =
+
+  async _getBandwidth (type, id) {
+    var [hourly, daily] = await Promise.all([
+      this.bandwidthDB.list(type, id, 'hour', {limit: NUM_HOURS}),
+      this.bandwidthDB.list(type, id, 'day', {limit: NUM_DAYS})
+    ])
+    return {hourly, daily}
+  }
+}
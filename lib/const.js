@@ -50,3 +50,52 @@ exports.NotImplementedError = class NotImplementedError extends Error {
     }
   }
 }
+
+exports.ReservedNameError = class ReservedNameError extends Error {
+  constructor () {
+    super('That username is reserved, please choose another.')
+    this.name = 'ReservedNameError'
+    this.status = 422
+    this.body = {
+      message: 'That username is reserved, please choose another.',
+      reservedName: true
+    }
+  }
+}
+
+exports.UsernameNotAvailableError = class UsernameNotAvailableError extends Error {
+  constructor () {
+    super('Username is not available')
+    this.name = 'UsernameNotAvailableError'
+    this.status = 422
+    this.body = {
+      message: 'Username is not available',
+      usernameNotAvailable: true
+    }
+  }
+}
+
+exports.PayloadTooLargeError = class PayloadTooLargeError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'PayloadTooLargeError'
+    this.status = 413
+    this.body = {
+      message: message || 'Payload too large',
+      payloadTooLarge: true
+    }
+  }
+}
+
+exports.UnavailableForLegalReasonsError = class UnavailableForLegalReasonsError extends Error {
+  constructor (reason) {
+    super(reason)
+    this.name = 'UnavailableForLegalReasonsError'
+    this.status = 451
+    this.body = {
+      message: 'This resource has been taken down' + (reason ? `: ${reason}` : ''),
+      reason: reason || null,
+      unavailableForLegalReasons: true
+    }
+  }
+}
@@ -9,8 +9,16 @@ var through2 = require('through2')
 // =
 
 // used in the users-index-db
+// - keyed by user id, since usernames can change
 const SEPARATOR = '!'
-const USERKEY = (key, username) => `${username}${SEPARATOR}${key}`
+const USERKEY = (key, userid) => `${userid}${SEPARATOR}${key}`
+
+// event keys are zero-padded base36 timestamps (see monotonic-timestamp-base36)
+const TIMESTAMP_KEY = ts => {
+  var str = Math.floor(ts).toString(36)
+  while (str.length < 9) str = '0' + str
+  return str
+}
 
 // valid actions
 const ACTIONS = [
@@ -44,7 +52,7 @@ class ActivityDB {
     var key = mtb36()
     await Promise.all([
       this.globalActivityDB.put(key, record),
-      this.usersIndexDB.put(USERKEY(key, record.username), null)
+      this.usersIndexDB.put(USERKEY(key, record.userid), null)
     ])
     return record
   }
@@ -54,10 +62,33 @@ class ActivityDB {
     var record = await this.globalActivityDB.get(key)
     await Promise.all([
       this.globalActivityDB.del(key),
-      this.usersIndexDB.del(USERKEY(key, record.username))
+      this.usersIndexDB.del(USERKEY(key, record.userid))
     ])
   }
 
+  // delete every event made by the user
+  // - walks the user's range of the users index, then removes the events and their index entries in two batches
+  delUserEvents (userid) {
+    assert(typeof userid === 'string')
+    return new Promise((resolve, reject) => {
+      var indexKeys = []
+      this.usersIndexDB.createKeyStream({gt: USERKEY('', userid), lte: USERKEY('\xff', userid)})
+        .on('data', indexKey => indexKeys.push(indexKey))
+        .on('error', reject)
+        .on('end', () => {
+          var eventOps = indexKeys.map(indexKey => ({type: 'del', key: indexKey.split(SEPARATOR)[1]}))
+          var indexOps = indexKeys.map(indexKey => ({type: 'del', key: indexKey}))
+          this.globalActivityDB.batch(eventOps, err => {
+            if (err) return reject(err)
+            this.usersIndexDB.batch(indexOps, err => {
+              if (err) reject(err)
+              else resolve()
+            })
+          })
+        })
+    })
+  }
+
   // getters
   // =
 
@@ -70,20 +101,37 @@ class ActivityDB {
     })
   }
 
-  listUserEvents (username, opts = {}) {
+  // count the events made since each of the given timestamps, in one pass over the log
+  // - gives the counts in the order of the timestamps
+  countGlobalEvents (timestamps) {
+    return new Promise((resolve, reject) => {
+      var counts = timestamps.map(() => 0)
+      this.globalActivityDB.createKeyStream({gte: TIMESTAMP_KEY(Math.min(...timestamps))})
+        .on('data', key => {
+          var ts = parseInt(key, 36)
+          timestamps.forEach((since, i) => {
+            if (ts >= since) counts[i]++
+          })
+        })
+        .on('error', reject)
+        .on('end', () => resolve(counts))
+    })
+  }
+
+  listUserEvents (userid, opts = {}) {
     return new Promise((resolve, reject) => {
       // update the start/end
-      if (opts.lt) opts.lt = USERKEY(opts.lt, username)
-      if (opts.gt) opts.gt = USERKEY(opts.gt, username)
-      if (opts.lte) opts.lte = USERKEY(opts.lte, username)
-      if (opts.gte) opts.gte = USERKEY(opts.gte, username)
+      if (opts.lt) opts.lt = USERKEY(opts.lt, userid)
+      if (opts.gt) opts.gt = USERKEY(opts.gt, userid)
+      if (opts.lte) opts.lte = USERKEY(opts.lte, userid)
+      if (opts.gte) opts.gte = USERKEY(opts.gte, userid)
 
       // set range edges
       if (!opts.lt && !opts.lte) {
-        opts.lte = USERKEY('\xff', username)
+        opts.lte = USERKEY('\xff', userid)
       }
       if (!opts.gt && !opts.gte) {
-        opts.gt = USERKEY('', username)        
+        opts.gt = USERKEY('', userid)        
       }
 
       // fetch the index range
@@ -2,6 +2,7 @@ var EventEmitter = require('events')
 var assert = require('assert')
 var levelPromise = require('level-promise')
 var sublevel = require('subleveldown')
+var collect = require('stream-collector')
 var lock = require('../lock')
 
 // exported api
@@ -25,7 +26,7 @@ class ArchivesDB extends EventEmitter {
   async create (record) {
     assert(record && typeof record === 'object')
     assert(typeof record.key === 'string')
-    record = Object.assign({}, ArchivesDB.defaults, record)
+    record = Object.assign({}, ArchivesDB.defaults, {hostingUsers: []}, record) // dont share the defaults' array
     record.createdAt = Date.now()
     await this.put(record)
     this.emit('create', record)
@@ -77,6 +78,40 @@ class ArchivesDB extends EventEmitter {
     return this.archivesDB.createValueStream()
   }
 
+  // list a page of records
+  // - sorting by key reads from the db in order, other sorts have to read every record
+  // - `cursor` is the key of the last record of the previous page
+  //   (with other sorts, a cursor whose record no longer exists gives an empty page)
+  query ({cursor, limit, reverse, sort = 'key'}) {
+    return new Promise((resolve, reject) => {
+      var opts = sort === 'key' ? {limit, reverse} : {}
+      if (sort === 'key' && typeof cursor !== 'undefined') {
+        // set cursor according to reverse
+        if (reverse) opts.lt = cursor
+        else opts.gt = cursor
+      }
+      collect(this.archivesDB.createValueStream(opts), (err, res) => {
+        if (err) return reject(err)
+        if (sort !== 'key') {
+          res.sort((a, b) => (a[sort] - b[sort]) || a.key.localeCompare(b.key))
+          if (reverse) res.reverse()
+          if (typeof cursor !== 'undefined') {
+            let index = res.findIndex(r => r.key === cursor)
+            res = (index === -1) ? [] : res.slice(index + 1) // (the cursor's record is gone, so the place is lost)
+          }
+          if (limit) res = res.slice(0, limit)
+        }
+        resolve(res)
+      })
+    })
+  }
+
+  // sum the disk usage of the given archives
+  async getTotalDiskUsage (keys) {
+    var records = await Promise.all(keys.map(key => this.getByKey(key)))
+    return records.reduce((acc, record) => acc + ((record && record.diskUsage) || 0), 0)
+  }
+
   // highlevel updates
   // =
 
@@ -106,8 +141,11 @@ class ArchivesDB extends EventEmitter {
   async removeHostingUser (key, userId) {
     var release = await lock('archives:update:' + key)
     try {
-      // fetch/create record
-      var archiveRecord = await this.getOrCreateByKey(key)
+      // fetch record
+      var archiveRecord = await this.getByKey(key)
+      if (!archiveRecord) {
+        return // already deleted
+      }
 
       // remove user
       var index = archiveRecord.hostingUsers.indexOf(userId)
@@ -116,6 +154,12 @@ class ArchivesDB extends EventEmitter {
       }
       archiveRecord.hostingUsers.splice(index, 1)
 
+      // the verified owner is no longer hosting
+      if (archiveRecord.verifiedBy === userId) {
+        archiveRecord.isVerified = false
+        archiveRecord.verifiedBy = null
+      }
+
       // update records
       await this.put(archiveRecord)
     } finally {
@@ -127,17 +171,144 @@ class ArchivesDB extends EventEmitter {
     /* dont await */ this.updateDeadArchives(key, archiveRecord.hostingUsers.length)
   }
 
+  async updateDiskUsage (key, diskUsage) {
+    var release = await lock('archives:update:' + key)
+    try {
+      // fetch record
+      var archiveRecord = await this.getByKey(key)
+      if (!archiveRecord || archiveRecord.diskUsage === diskUsage) {
+        return archiveRecord // no change
+      }
+
+      // update records
+      archiveRecord.diskUsage = diskUsage
+      await this.put(archiveRecord)
+    } finally {
+      release()
+    }
+    this.emit('update-disk-usage', {key, diskUsage}, archiveRecord)
+    return archiveRecord
+  }
+
+  async updateOversized (key, oversized) {
+    var release = await lock('archives:update:' + key)
+    try {
+      // fetch record
+      var archiveRecord = await this.getByKey(key)
+      if (!archiveRecord || archiveRecord.oversized === oversized) {
+        return archiveRecord // no change
+      }
+
+      // update records
+      archiveRecord.oversized = oversized
+      await this.put(archiveRecord)
+    } finally {
+      release()
+    }
+    this.emit('update-oversized', {key, oversized}, archiveRecord)
+    return archiveRecord
+  }
+
+  // record the result of an integrity check
+  async updateIntegrity (key, numCorruptBlocks) {
+    var release = await lock('archives:update:' + key)
+    try {
+      // fetch record
+      var archiveRecord = await this.getByKey(key)
+      if (!archiveRecord) {
+        return null // not hosted
+      }
+
+      // update records
+      archiveRecord.isCorrupted = numCorruptBlocks > 0
+      archiveRecord.numCorruptBlocks = numCorruptBlocks
+      archiveRecord.integrityCheckedAt = Date.now()
+      await this.put(archiveRecord)
+    } finally {
+      release()
+    }
+    this.emit('update-integrity', {key, numCorruptBlocks}, archiveRecord)
+    return archiveRecord
+  }
+
+  // mark the archive as taken down, or clear it with null
+  async updateTakedown (key, takedown) {
+    var release = await lock('archives:update:' + key)
+    try {
+      // fetch record
+      var archiveRecord = await this.getByKey(key)
+      if (!archiveRecord) {
+        return null // not hosted
+      }
+
+      // update records
+      archiveRecord.takedown = takedown
+      await this.put(archiveRecord)
+    } finally {
+      release()
+    }
+    this.emit('update-takedown', {key, takedown}, archiveRecord)
+    return archiveRecord
+  }
+
+  async updateManifest (key, manifest) {
+    var release = await lock('archives:update:' + key)
+    try {
+      // fetch record
+      var archiveRecord = await this.getByKey(key)
+      if (!archiveRecord) {
+        return null // not hosted
+      }
+
+      // update records
+      archiveRecord.manifest = manifest
+      await this.put(archiveRecord)
+    } finally {
+      release()
+    }
+    this.emit('update-manifest', {key, manifest}, archiveRecord)
+    return archiveRecord
+  }
+
   // internal tracking
   // =
 
+  // count the archives
+  // - reads the keys one at a time, rather than loading the records
+  count () {
+    return new Promise((resolve, reject) => {
+      var numArchives = 0
+      this.archivesDB.createKeyStream()
+        .on('data', () => numArchives++)
+        .on('error', reject)
+        .on('end', () => resolve(numArchives))
+    })
+  }
+
+  countDeadArchives () {
+    return new Promise((resolve, reject) => {
+      var numDeadArchives = 0
+      this.deadArchivesDB.createKeyStream()
+        .on('data', () => numDeadArchives++)
+        .on('error', reject)
+        .on('end', () => resolve(numDeadArchives))
+    })
+  }
+
+  // list the archives with no hosting users, and the time since they've been dead
   listDeadArchives () {
-    return this.deadArchivesDB.createKeyStream()
+    return new Promise((resolve, reject) => {
+      collect(this.deadArchivesDB.createReadStream(), (err, res) => {
+        if (err) reject(err)
+        else resolve(res.map(({key, value}) => ({key, deadSince: +value || 0})))
+      })
+    })
   }
 
   async updateDeadArchives (key, numHostingUsers) {
     try {
       if (numHostingUsers === 0) {
-        await this.deadArchivesDB.put(key, '')
+        await this.deadArchivesDB.put(key, String(Date.now()))
       } else {
         await this.deadArchivesDB.del(key)
       }
@@ -150,8 +321,21 @@ module.exports = ArchivesDB
 // default user-record values
 ArchivesDB.defaults = {
   key: null,
+  ownerId: null, // the user who created the archive, if the server holds its secret key
 
   hostingUsers: [],
+  diskUsage: 0,
+  oversized: false, // has the archive gone over its size limit? (replication is stopped)
+  manifest: null,
+
+  isVerified: false,
+  verifiedBy: null,
+
+  isCorrupted: false,
+  numCorruptBlocks: 0,
+  integrityCheckedAt: 0,
+
+  takedown: null, // {reason, legalRef, blockedAt}, if the archive is on the blocklist
 
   updatedAt: 0,
   createdAt: 0
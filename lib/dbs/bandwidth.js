@@ -0,0 +1,114 @@
+var assert = require('assert')
+var levelPromise = require('level-promise')
+var sublevel = require('subleveldown')
+var collect = require('stream-collector')
+var lock = require('../lock')
+
+// constants
+// =
+
+const SEPARATOR = '!'
+const KEY = (type, id, period, time) => [type, id, period, time].join(SEPARATOR)
+
+// what the totals are kept for
+const TYPES = ['archive', 'user']
+
+// how the totals are rolled up, and how to label the time of each
+// - hours are 'YYYY-MM-DDTHH' and days are 'YYYY-MM-DD', in UTC
+const PERIODS = {
+  hour: ts => new Date(ts).toISOString().slice(0, 13),
+  day: ts => new Date(ts).toISOString().slice(0, 10)
+}
+
+// exported api
+// =
+
+class BandwidthDB {
+  constructor (cloud) {
+    // create levels
+    this.bandwidthDB = sublevel(cloud.db, 'bandwidth', { valueEncoding: 'json' })
+
+    // promisify
+    levelPromise.install(this.bandwidthDB)
+  }
+
+  // basic ops
+  // =
+
+  // add the counts to the hourly and daily totals of the archive or user
+  async add (type, id, counts, ts = Date.now()) {
+    assert(TYPES.includes(type), 'Valid bandwidth type')
+    assert(typeof id === 'string', 'Valid id type')
+    for (let period in PERIODS) {
+      let key = KEY(type, id, period, PERIODS[period](ts))
+      let release = await lock('bandwidth:' + key)
+      try {
+        let record = await this._get(key)
+        for (let k in BandwidthDB.defaults) {
+          record[k] += (counts[k] || 0)
+        }
+        await this.bandwidthDB.put(key, record)
+      } finally {
+        release()
+      }
+    }
+  }
+
+  // delete all of the totals of the archive or user
+  del (type, id) {
+    assert(TYPES.includes(type), 'Valid bandwidth type')
+    assert(typeof id === 'string', 'Valid id type')
+    return new Promise((resolve, reject) => {
+      var ops = []
+      this.bandwidthDB.createKeyStream({
+        gt: KEY(type, id, ''),
+        lt: KEY(type, id, '\xff')
+      })
+        .on('data', key => ops.push({type: 'del', key}))
+        .on('error', reject)
+        .on('end', () => resolve(this.bandwidthDB.batch(ops)))
+    })
+  }
+
+  // getters
+  // =
+
+  // list the totals of the archive or user, newest first
+  list (type, id, period, {limit} = {}) {
+    assert(TYPES.includes(type), 'Valid bandwidth type')
+    assert(period in PERIODS, 'Valid bandwidth period')
+    return new Promise((resolve, reject) => {
+      collect(this.bandwidthDB.createReadStream({
+        gt: KEY(type, id, period, ''),
+        lt: KEY(type, id, period, '\xff'),
+        reverse: true,
+        limit
+      }), (err, res) => {
+        if (err) reject(err)
+        else resolve(res.map(toNiceObj))
+      })
+    })
+  }
+
+  async _get (key) {
+    try {
+      return Object.assign({}, BandwidthDB.defaults, await this.bandwidthDB.get(key))
+    } catch (e) {
+      if (e.notFound) return Object.assign({}, BandwidthDB.defaults)
+      throw e
+    }
+  }
+}
+module.exports = BandwidthDB
+
+// default total values
+BandwidthDB.defaults = {
+  bytesUploaded: 0,
+  bytesDownloaded: 0,
+  bytesServed: 0
+}
+
+// helper to convert {key:, value:} to {time:, values...}
+function toNiceObj ({key, value}) {
+  return Object.assign({time: key.split(SEPARATOR).pop()}, value)
+}
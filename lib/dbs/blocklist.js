@@ -0,0 +1,120 @@
+var EventEmitter = require('events')
+var assert = require('assert')
+var levelPromise = require('level-promise')
+var sublevel = require('subleveldown')
+var collect = require('stream-collector')
+var mtb36 = require('monotonic-timestamp-base36')
+var lock = require('../lock')
+
+// exported api
+// =
+
+// archive keys which have been taken down, and a log of every block and unblock
+class BlocklistDB extends EventEmitter {
+  constructor (cloud) {
+    super()
+
+    // create levels
+    this.blocklistDB = sublevel(cloud.db, 'blocklist', { valueEncoding: 'json' })
+    this.blocklistLogDB = sublevel(cloud.db, 'blocklist-log', { valueEncoding: 'json' })
+
+    // promisify
+    levelPromise.install(this.blocklistDB)
+    levelPromise.install(this.blocklistLogDB)
+  }
+
+  // highlevel updates
+  // =
+
+  // add the key to the blocklist
+  // - `userId` is the admin who blocked it
+  async block (key, {reason, legalRef, userId}) {
+    assert(typeof key === 'string')
+    var release = await lock('blocklist:' + key)
+    try {
+      var record = Object.assign({}, BlocklistDB.defaults, {key, reason, legalRef, blockedBy: userId})
+      record.blockedAt = Date.now()
+      await this.blocklistDB.put(key, record)
+      await this._log({action: 'block', key, reason, legalRef, userId})
+    } finally {
+      release()
+    }
+    this.emit('block', record)
+    return record
+  }
+
+  // remove the key from the blocklist
+  // - gives the removed record, or null if it wasnt blocked
+  async unblock (key, {reason, legalRef, userId}) {
+    assert(typeof key === 'string')
+    var release = await lock('blocklist:' + key)
+    try {
+      var record = await this.getByKey(key)
+      if (!record) {
+        return null // not blocked
+      }
+      await this.blocklistDB.del(key)
+      await this._log({action: 'unblock', key, reason, legalRef, userId})
+    } finally {
+      release()
+    }
+    this.emit('unblock', record)
+    return record
+  }
+
+  // getters
+  // =
+
+  async getByKey (key) {
+    assert(typeof key === 'string')
+    try {
+      return await this.blocklistDB.get(key)
+    } catch (e) {
+      if (e.notFound) return null
+      throw e
+    }
+  }
+
+  list () {
+    return new Promise((resolve, reject) => {
+      collect(this.blocklistDB.createValueStream(), (err, res) => {
+        if (err) reject(err)
+        else resolve(res)
+      })
+    })
+  }
+
+  // list the block and unblock actions, oldest first
+  listLog (opts) {
+    return new Promise((resolve, reject) => {
+      collect(this.blocklistLogDB.createReadStream(opts), (err, res) => {
+        if (err) reject(err)
+        else resolve(res.map(({key, value}) => Object.assign({id: key}, value)))
+      })
+    })
+  }
+
+  // internal
+  // =
+
+  async _log ({action, key, reason, legalRef, userId}) {
+    await this.blocklistLogDB.put(mtb36(), {
+      action,
+      key,
+      reason: reason || null,
+      legalRef: legalRef || null,
+      userId: userId || null,
+      ts: Date.now()
+    })
+  }
+}
+module.exports = BlocklistDB
+
+// default blocklist-record values
+BlocklistDB.defaults = {
+  key: null,
+  reason: null, // shown to users, and to anyone requesting the archive
+  legalRef: null, // eg the id of the takedown notice
+  blockedBy: null, // id of the admin
+  blockedAt: 0
+}
@@ -1,4 +1,5 @@
 var assert = require('assert')
+var ms = require('ms')
 var monotonicTimestamp = require('monotonic-timestamp')
 var levelPromise = require('level-promise')
 var createIndexer = require('level-simple-indexes')
@@ -7,6 +8,13 @@ var collect = require('stream-collector')
 var EventEmitter = require('events')
 var { promisifyModule } = require('../helpers')
 var lock = require('../lock')
+var {ReservedNameError, UsernameNotAvailableError} = require('../const')
+
+// constants
+// =
+
+// how long the old name of a renamed user redirects to the new one, if the config does not say
+const DEFAULT_REDIRECT_PERIOD = '30d'
 
 // exported api
 // =
@@ -14,9 +22,12 @@ var lock = require('../lock')
 class UsersDB extends EventEmitter {
   constructor (cloud) {
     super()
+    this.config = cloud.config
+
     // create levels and indexer
     this.accountsDB = sublevel(cloud.db, 'accounts', { valueEncoding: 'json' })
     this.indexDB = sublevel(cloud.db, 'accounts-index')
+    this.previousUsernamesDB = sublevel(cloud.db, 'accounts-previous-usernames', { valueEncoding: 'json' })
     this.indexer = createIndexer(this.indexDB, {
       keyName: 'id',
       properties: ['email', 'username', 'profileURL'],
@@ -27,9 +38,17 @@ class UsersDB extends EventEmitter {
       }
     })
 
+    // old usernames are held, and redirect to the renamed user, for a period
+    var {usernameChanges} = cloud.config
+    this.redirectPeriod = (usernameChanges && typeof usernameChanges.redirectPeriod !== 'undefined')
+      ? usernameChanges.redirectPeriod
+      : DEFAULT_REDIRECT_PERIOD
+    if (typeof this.redirectPeriod === 'string') this.redirectPeriod = ms(this.redirectPeriod)
+
     // promisify
     levelPromise.install(this.accountsDB)
     levelPromise.install(this.indexDB)
+    levelPromise.install(this.previousUsernamesDB)
     promisifyModule(this.indexer, ['findOne', 'addIndexes', 'removeIndexes', 'updateIndexes'])
   }
 
@@ -65,12 +84,26 @@ class UsersDB extends EventEmitter {
     try {
       await this.accountsDB.del(record.id)
       await this.indexer.removeIndexes(record)
+      await this.delPreviousUsernames(record.id)
     } finally {
       release()
     }
     this.emit('del', record)
   }
 
+  // release the user's old names, so they stop redirecting to the deleted id
+  delPreviousUsernames (userId) {
+    return new Promise((resolve, reject) => {
+      var ops = []
+      this.previousUsernamesDB.createReadStream()
+        .on('data', ({key, value}) => {
+          if (value.id === userId) ops.push({type: 'del', key})
+        })
+        .on('error', reject)
+        .on('end', () => resolve(this.previousUsernamesDB.batch(ops)))
+    })
+  }
+
   // getters
   // =
   // TODO
@@ -83,8 +116,14 @@ class UsersDB extends EventEmitter {
     return !!record
   }
 
+  // is the name reserved by the config? (reserved names cant be registered, or renamed to)
+  isReservedName (username) {
+    var {reservedNames} = this.config.registration || {}
+    return Array.isArray(reservedNames) && reservedNames.includes(username.toLowerCase())
+  }
+
   async isUsernameTaken (username) {
-    var record = await this.getByUsername(username)
+    var record = await this.getByUsername(username) || await this.getByPreviousUsername(username)
     return !!record
   }
 
@@ -108,11 +147,42 @@ class UsersDB extends EventEmitter {
     return this.indexer.findOne('username', username)
   }
 
+  // get the user who was renamed from the username, during the redirect period
+  async getByPreviousUsername (username) {
+    assert(typeof username === 'string')
+    try {
+      var {id, renamedAt} = await this.previousUsernamesDB.get(username)
+    } catch (e) {
+      if (e.notFound) return null
+      throw e
+    }
+    if (Date.now() - renamedAt > this.redirectPeriod) {
+      return null
+    }
+    return this.getByID(id)
+  }
+
   async getByProfileURL (profileURL) {
     assert(typeof profileURL === 'string')
     return this.indexer.findOne('profileURL', profileURL)
   }
 
+  // count the accounts, and the verified accounts
+  // - reads the records one at a time, rather than loading them all
+  count () {
+    return new Promise((resolve, reject) => {
+      var numUsers = 0
+      var numVerifiedUsers = 0
+      this.accountsDB.createValueStream()
+        .on('data', record => {
+          numUsers++
+          if (record.isEmailVerified) numVerifiedUsers++
+        })
+        .on('error', reject)
+        .on('end', () => resolve({numUsers, numVerifiedUsers}))
+    })
+  }
+
   list ({cursor, limit, reverse, sort}) {
     return new Promise((resolve, reject) => {
       var opts = {limit, reverse}
@@ -146,6 +216,48 @@ class UsersDB extends EventEmitter {
   // highlevel updates
   // =
 
+  // change the user's name, and hold the old name for the redirect period
+  // - throws if the name is reserved, or taken by another user (the user may take back one of their old names)
+  async rename (userId, username) {
+    if (this.isReservedName(username)) {
+      throw new ReservedNameError()
+    }
+    var userRecord = await this.getByID(userId)
+    if (userRecord.username === username) {
+      return userRecord // no change
+    }
+
+    // lock both names, in a fixed order, so that neither can be registered mid-rename
+    var names = [userRecord.username, username].sort()
+    var release = [
+      await lock('users:username:' + names[0]),
+      await lock('users:username:' + names[1]),
+      await lock('users:update:' + userId)
+    ]
+    try {
+      // check availability
+      let owner = await this.getByUsername(username) || await this.getByPreviousUsername(username)
+      if (owner && owner.id !== userId) {
+        throw new UsernameNotAvailableError()
+      }
+
+      // put() only updates the new values' indexes, so drop the old name's first
+      userRecord = await this.getByID(userId)
+      var oldUsername = userRecord.username
+      await this.indexer.removeIndexes(userRecord)
+      userRecord.username = username
+      await this.put(userRecord)
+
+      // track the old name (a user taking back their old name ends its redirect)
+      await this.previousUsernamesDB.put(oldUsername, {id: userId, renamedAt: Date.now()})
+      await this.previousUsernamesDB.del(username)
+    } finally {
+      release.forEach(r => r())
+    }
+    this.emit('rename', {userId, username, oldUsername}, userRecord)
+    return userRecord
+  }
+
   async addArchive (userId, archiveKey, name) {
     var release = await lock('users:update:' + userId)
     try {
@@ -205,6 +317,8 @@ UsersDB.defaults = {
   scopes: [],
   suspension: null,
   archives: [],
+  diskQuota: null,
+  maxArchiveSize: null,
   updatedAt: 0,
   createdAt: 0,
 
@@ -214,7 +328,13 @@ UsersDB.defaults = {
   forgotPasswordNonce: null,
 
   isProfileDatVerified: false,
-  profileVerifyToken: null
+  profileVerifyToken: null,
+
+  // public profile
+  displayName: null,
+  bio: null,
+  website: null,
+  avatar: null // a url, or the path of a file in the profile dat
 }
 
 // default user-record archive values
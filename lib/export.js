@@ -0,0 +1,105 @@
+var pda = require('pauls-dat-api')
+var {join} = require('path')
+var yazl = require('yazl')
+var tarStream = require('tar-stream')
+var through2 = require('through2')
+var {NotFoundError} = require('./const')
+var {stat} = require('./helpers')
+
+// constants
+// =
+
+// the supported formats, and their mimetypes
+const FORMATS = {
+  zip: 'application/zip',
+  tar: 'application/x-tar'
+}
+
+// exported api
+// =
+
+exports.EXPORT_FORMATS = Object.keys(FORMATS)
+
+// stream the files in a folder of the archive to the response, as a zip or tar
+// - `name` is the suggested filename, without the extension
+// - `onData` is called with each chunk read from the archive
+exports.sendArchiveExport = async function (res, archive, {path = '/', format = 'zip', name, onData}) {
+  // list the files
+  var files = await listFiles(archive, path)
+  if (!files) throw new NotFoundError()
+
+  // stop reading if the client goes away
+  var aborted = false
+  var whenAborted = new Promise(resolve => {
+    res.once('close', () => {
+      aborted = true
+      resolve()
+    })
+  })
+  const readFile = (file, onError) => {
+    var stream = archive.createReadStream(join(path, file.name))
+    stream.once('error', err => {
+      // the headers are already sent, so all we can do is cut the response short
+      console.error('[ERROR] Failed to read file for export', file.name, err)
+      res.destroy()
+      if (onError) onError(err)
+    })
+    // count the bytes as they're consumed
+    // (a 'data' listener would start the stream flowing before the zip reads it)
+    return stream.pipe(through2((chunk, enc, cb) => {
+      if (onData) onData(chunk)
+      cb(null, chunk)
+    }))
+  }
+
+  res.writeHead(200, 'OK', {
+    'Content-Type': FORMATS[format],
+    'Content-Disposition': `attachment; filename="${name}.${format}"`
+  })
+
+  // the entries are added one at a time, and each file is opened once the last has been written
+  // (so only one file is read into memory at a time)
+  if (format === 'zip') {
+    var zipfile = new yazl.ZipFile()
+    zipfile.outputStream.pipe(res)
+    for (let file of files) {
+      if (aborted) return
+      await Promise.race([whenAborted, new Promise(resolve => {
+        var stream = readFile(file, resolve)
+        stream.once('end', resolve)
+        zipfile.addReadStream(stream, file.name, {mtime: file.stat.mtime, size: file.stat.size})
+      })])
+    }
+    zipfile.end()
+  } else {
+    var pack = tarStream.pack()
+    pack.pipe(res)
+    for (let file of files) {
+      if (aborted) return
+      await Promise.race([whenAborted, new Promise(resolve => {
+        var entry = pack.entry({name: file.name, size: file.stat.size, mtime: file.stat.mtime}, resolve)
+        readFile(file, resolve).pipe(entry)
+      })])
+    }
+    pack.finalize()
+  }
+}
+
+// internal
+// =
+
+// list the files in the folder, recursively, as [{name, stat}] sorted by name
+// - names are relative to the folder
+// - gives null if the folder doesnt exist
+async function listFiles (archive, path) {
+  var st = await stat(archive, path)
+  if (!st || !st.isDirectory()) return null
+
+  var files = []
+  var names = await pda.readdir(archive, path, {recursive: true})
+  for (let name of names) {
+    let st = await stat(archive, join(path, name))
+    if (st && st.isFile()) files.push({name, stat: st})
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name))
+}
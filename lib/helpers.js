@@ -1,3 +1,5 @@
+var fs = require('fs')
+var path = require('path')
 var promisify = require('es6-promisify')
 var through2 = require('through2')
 var identifyFiletype = require('identify-filetype')
@@ -65,3 +67,32 @@ exports.wait = function (ms, value) {
     setTimeout(() => resolve(value), ms)
   })
 }
+
+// stat the file in the archive, or give null if it doesnt exist
+exports.stat = function (archive, name) {
+  return new Promise(resolve => archive.stat(name, (err, st) => resolve(err ? null : st)))
+}
+
+// get the title & description from the archive record's cached dat.json
+exports.getManifestInfo = function (archiveRecord) {
+  var manifest = (archiveRecord && archiveRecord.manifest) || {}
+  return {
+    title: typeof manifest.title === 'string' ? manifest.title : null,
+    description: typeof manifest.description === 'string' ? manifest.description : null
+  }
+}
+
+// sum the sizes of the files in the folder, recursively
+// - gives 0 if the folder doesnt exist
+exports.getFolderSize = async function getFolderSize (dir) {
+  var st = await promisify(fs.lstat)(dir).catch(() => null)
+  if (!st) return 0
+  if (!st.isDirectory()) return st.size
+
+  var total = 0
+  var names = await promisify(fs.readdir)(dir)
+  for (let name of names) {
+    total += await getFolderSize(path.join(dir, name))
+  }
+  return total
+}
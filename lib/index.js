@@ -6,8 +6,15 @@ var wrap = require('co-express')
 
 var {hashPassword} = require('./crypto')
 var Sessions = require('./sessions')
+var Proofs = require('./proofs')
 var Mailer = require('./mailer')
 var Archiver = require('./archiver')
+var Quotas = require('./quotas')
+var Bandwidth = require('./bandwidth')
+var Jobs = require('./jobs')
+var Migrations = require('./migrations')
+var Scheduler = require('./scheduler')
+var Triggers = require('./triggers')
 var UsersAPI = require('./apis/users')
 var ArchivesAPI = require('./apis/archives')
 var ArchiveFilesAPI = require('./apis/archive-files')
@@ -16,6 +23,23 @@ var AdminAPI = require('./apis/admin')
 var UsersDB = require('./dbs/users')
 var ArchivesDB = require('./dbs/archives')
 var ActivityDB = require('./dbs/activity')
+var BandwidthDB = require('./dbs/bandwidth')
+var BlocklistDB = require('./dbs/blocklist')
+var cleanDeadArchives = require('./jobs/clean-dead-archives')
+var verifyProfileDat = require('./jobs/verify-profile-dat')
+var verifyArchiveClaim = require('./jobs/verify-archive-claim')
+var updateArchiveManifest = require('./jobs/update-archive-manifest')
+var verifyArchiveIntegrity = require('./jobs/verify-archive-integrity')
+var {DAT_KEY_REGEX} = require('./const')
+
+// constants
+// =
+
+// when to look for dead archives to delete (every hour)
+const CLEAN_DEAD_ARCHIVES_SCHEDULE = '0 0 * * * *'
+
+// when to re-read the stored archives and check them for corruption (every day at 3am)
+const VERIFY_ARCHIVE_INTEGRITY_SCHEDULE = '0 0 3 * * *'
 
 class Hypercloud {
   constructor (config) {
@@ -50,15 +74,27 @@ class Hypercloud {
       this._adminCreated = resolve
     })
     this.whenAdminCreated = adminCreatedPromise.then.bind(adminCreatedPromise)
+    var migratedPromise = new Promise(resolve => {
+      this._migrated = resolve
+    })
+    this.whenMigrated = migratedPromise.then.bind(migratedPromise)
 
     // init components
     this.sessions = new Sessions(config)
-    // this.proofs = new Proofs(config) TODO
+    this.proofs = new Proofs(config)
     this.mailer = new Mailer(config)
     this.archiver = new Archiver(config)
     this.usersDB = new UsersDB(this)
     this.archivesDB = new ArchivesDB(this)
     this.activityDB = new ActivityDB(this)
+    this.bandwidthDB = new BandwidthDB(this)
+    this.blocklistDB = new BlocklistDB(this)
+    this.migrations = new Migrations(this)
+    this.quotas = new Quotas(this)
+    this.bandwidth = new Bandwidth(this)
+    this.jobs = new Jobs(this)
+    this.scheduler = new Scheduler(this)
+    this.triggers = new Triggers(this)
 
     // init apis
     this.api = {
@@ -76,10 +112,72 @@ class Hypercloud {
     wrapAll(this.api.service)
     wrapAll(this.api.admin)
 
-    // load all archives
-    this.archivesDB.list().on('data', ({key}) => {
-      this.archiver.loadArchive(key)
+    // setup triggers
+    this.triggers.add(`/proofs/${config.hostname}`, archive => {
+      var key = archive.key.toString('hex')
+      /* dont await */ this.jobs.queue('verify-profile-dat', {key}).catch(err => console.error('[ERROR] Failed to queue profile dat verification', key, err))
+      /* dont await */ this.jobs.queue('verify-archive-claim', {key}).catch(err => console.error('[ERROR] Failed to queue archive claim verification', key, err))
+    })
+    this.triggers.add('/dat.json', archive => {
+      var key = archive.key.toString('hex')
+      /* dont await */ this.jobs.queue('update-archive-manifest', {key}).catch(err => console.error('[ERROR] Failed to queue manifest update', key, err))
+    })
+  }
+
+  // run the schema migrations the db hasnt had yet
+  // - with `migrations.dryRun` set, only logs what would change, and the db stays unmigrated
+  // - rejects if a migration fails, since the code cant run on a db left between versions
+  async migrate () {
+    var dryRun = !!(this.config.migrations && this.config.migrations.dryRun)
+    var results = await this.migrations.run({dryRun})
+    results.forEach(({version, name, numChanged}) => {
+      console.log(`${dryRun ? '[DRY RUN] ' : ''}Migration ${version} (${name}):`, numChanged, 'records', dryRun ? 'would change' : 'changed')
+    })
+    if (!dryRun) this._migrated()
+    return results
+  }
+
+  // start the background work: seeding, jobs and schedules
+  // - call once the db is migrated, since they read and write records
+  start () {
+    // seed all archives, except those taken down
+    // - archives are opened lazily, when requested or when a peer connects
+    // - blocking again purges any data left behind
+    // - if the blocklist cant be read, the archives are still seeded
+    this.blocklistDB.list()
+      .then(blockRecords => {
+        blockRecords.forEach(({key, reason}) => {
+          this.archiver.blockArchive(key, reason).catch(err => console.error('[ERROR] Failed to block archive', key, err))
+        })
+      })
+      .catch(err => console.error('[ERROR] Failed to read the blocklist', err))
+      .then(() => {
+        this.archivesDB.list()
+          .on('data', ({key}) => this.archiver.announceArchive(key))
+          .on('error', err => console.error('[ERROR] Failed to read the archives to seed', err))
+      })
+
+    // seed all profile dats
+    this.usersDB.list({})
+      .then(userRecords => {
+        userRecords.forEach(({profileURL}) => {
+          if (profileURL) this.archiver.announceArchive(DAT_KEY_REGEX.exec(profileURL)[1])
+        })
+      })
+      .catch(err => console.error('[ERROR] Failed to read the profile dats to seed', err))
+
+    // setup jobs
+    this.jobs.addHandler('clean-dead-archives', () => cleanDeadArchives(this))
+    this.jobs.addHandler('check-disk-quotas', async ({data}) => {
+      var userRecord = await this.usersDB.getByID(data.userId)
+      if (userRecord) await this.quotas.checkUser(userRecord)
     })
+    this.jobs.addHandler('verify-profile-dat', ({data}) => verifyProfileDat(this, data))
+    this.jobs.addHandler('verify-archive-claim', ({data}) => verifyArchiveClaim(this, data))
+    this.jobs.addHandler('update-archive-manifest', ({data}) => updateArchiveManifest(this, data))
+    this.jobs.addHandler('verify-archive-integrity', ({data}) => verifyArchiveIntegrity(this, data))
+    this.scheduler.add('clean-dead-archives', CLEAN_DEAD_ARCHIVES_SCHEDULE)
+    this.scheduler.add('verify-archive-integrity', VERIFY_ARCHIVE_INTEGRITY_SCHEDULE)
   }
 
   async setupAdminUser () {
@@ -116,7 +214,10 @@ class Hypercloud {
   }
 
   async close (cb) {
+    this.scheduler.close()
+    await this.jobs.close()
     await this.archiver.closeAllArchives()
+    await this.bandwidth.close()
     cb()
   }
 }
@@ -0,0 +1,50 @@
+var ms = require('ms')
+var debug = require('debug')('jobs')
+var lock = require('../lock')
+
+// constants
+// =
+
+// used when the config does not set a grace period
+const DEFAULT_GRACE_PERIOD = '1d'
+
+// exported api
+// =
+
+// deletes the data & records of archives which have had no hosting users for the grace period
+module.exports = async function cleanDeadArchives (cloud) {
+  var {config, archivesDB, archiver} = cloud
+  var gracePeriod = (config.deadArchives && typeof config.deadArchives.gracePeriod !== 'undefined')
+    ? config.deadArchives.gracePeriod
+    : DEFAULT_GRACE_PERIOD
+  if (typeof gracePeriod === 'string') gracePeriod = ms(gracePeriod)
+  var deadArchives = await archivesDB.listDeadArchives()
+  var numDeleted = 0
+
+  for (let {key, deadSince} of deadArchives) {
+    if (Date.now() - deadSince < gracePeriod) {
+      continue // give the archive some time, in case a user re-adds it
+    }
+
+    // this lock is shared with addHostingUser, so the archive can't be re-added mid-delete
+    let release = await lock('archives:update:' + key)
+    try {
+      // make sure the archive is still dead
+      let archiveRecord = await archivesDB.getByKey(key)
+      if (archiveRecord && archiveRecord.hostingUsers.length) {
+        await archivesDB.updateDeadArchives(key, archiveRecord.hostingUsers.length)
+        continue
+      }
+
+      // delete the data and records
+      await archiver.deleteArchive(key)
+      await archivesDB.del(archiveRecord || {key})
+      numDeleted++
+    } finally {
+      release()
+    }
+  }
+
+  debug('Cleaned %d dead archives', numDeleted)
+  return numDeleted
+}
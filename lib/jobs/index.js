@@ -0,0 +1,207 @@
+var assert = require('assert')
+var ms = require('ms')
+var levelPromise = require('level-promise')
+var sublevel = require('subleveldown')
+var collect = require('stream-collector')
+var mtb36 = require('monotonic-timestamp-base36')
+var debug = require('debug')('jobs')
+
+// constants
+// =
+
+// used when the config does not set retry behavior
+const DEFAULT_RETRY_DELAY = '5s' // doubles with each failed attempt
+const DEFAULT_MAX_RETRY_DELAY = '1h'
+const DEFAULT_MAX_ATTEMPTS = 10
+
+// exported api
+// =
+
+class Jobs {
+  constructor (cloud) {
+    var config = cloud.config.jobs || {}
+    this.retryDelay = toMs(config.retryDelay || DEFAULT_RETRY_DELAY)
+    this.maxRetryDelay = toMs(config.maxRetryDelay || DEFAULT_MAX_RETRY_DELAY)
+    this.maxAttempts = config.maxAttempts || DEFAULT_MAX_ATTEMPTS
+
+    // create levels
+    this.jobsDB = sublevel(cloud.db, 'jobs', { valueEncoding: 'json' })
+
+    // promisify
+    levelPromise.install(this.jobsDB)
+
+    // internal state
+    this.handlers = {}
+    this.handlerCounter = 0
+    this.isClosed = false
+    this.processTimeout = null
+    this.processPromise = null
+    this.needsProcess = false
+
+    // run any jobs that were left over from the last session
+    this._process()
+  }
+
+  // management
+  // =
+
+  // add a one-time job
+  async queue (name, data = {}) {
+    assert(typeof name === 'string', 'Valid job name')
+    var job = Object.assign({}, Jobs.defaults, {
+      id: mtb36(),
+      name,
+      data,
+      runAt: Date.now(),
+      createdAt: Date.now()
+    })
+    await this.jobsDB.put(job.id, job)
+    debug('Queued job %s (%s)', job.name, job.id)
+    this._process()
+    return job
+  }
+
+  // remove, then re-add the job to the queue
+  async requeue (job) {
+    await this.markDone(job)
+    return this.queue(job.name, job.data)
+  }
+
+  // remove the job from the queue
+  async markDone (job) {
+    assert(job && typeof job.id === 'string', 'Valid job')
+    await this.jobsDB.del(job.id)
+  }
+
+  // list the queued jobs
+  list (name) {
+    return new Promise((resolve, reject) => {
+      collect(this.jobsDB.createValueStream(), (err, jobs) => {
+        if (err) reject(err)
+        else resolve(name ? jobs.filter(job => job.name === name) : jobs)
+      })
+    })
+  }
+
+  // add a handler for the job
+  // - if the handler returns a promise, the job is marked done when it resolves
+  //   and retried (with backoff) when it rejects
+  addHandler (name, fn) {
+    assert(typeof name === 'string', 'Valid job name')
+    assert(typeof fn === 'function', 'Valid handler function')
+    var id = String(++this.handlerCounter)
+    this.handlers[id] = {id, name, fn}
+    this._process()
+    return id
+  }
+
+  removeHandler (id) {
+    delete this.handlers[id]
+  }
+
+  // stop processing jobs (waits for the active job to finish)
+  async close () {
+    this.isClosed = true
+    clearTimeout(this.processTimeout)
+    if (this.processPromise) {
+      await this.processPromise
+    }
+  }
+
+  // internal
+  // =
+
+  _getHandlers (name) {
+    return Object.keys(this.handlers)
+      .map(id => this.handlers[id])
+      .filter(h => h.name === name)
+  }
+
+  // run all jobs that are due, one at a time
+  _process () {
+    if (this.isClosed) return
+    if (this.processPromise) {
+      // already running, so go again when done
+      this.needsProcess = true
+      return
+    }
+    clearTimeout(this.processTimeout)
+    this.processPromise = this._processInner()
+      .catch(err => console.error('[ERROR] While processing jobs:', err))
+      .then(nextRunAt => {
+        this.processPromise = null
+        if (this.needsProcess) {
+          this.needsProcess = false
+          return this._process()
+        }
+        if (nextRunAt && !this.isClosed) {
+          // wake up when the next job is due
+          this.processTimeout = setTimeout(() => this._process(), Math.max(nextRunAt - Date.now(), 0))
+          this.processTimeout.unref()
+        }
+      })
+  }
+
+  async _processInner () {
+    var nextRunAt = null
+    var jobs = await this.list()
+    for (let job of jobs) {
+      if (this.isClosed) return
+
+      // skip jobs that nobody handles yet
+      let handlers = this._getHandlers(job.name)
+      if (!handlers.length) continue
+
+      // skip jobs that are waiting to retry
+      if (job.runAt > Date.now()) {
+        nextRunAt = Math.min(nextRunAt || Infinity, job.runAt)
+        continue
+      }
+
+      // run the handlers
+      debug('Running job %s (%s)', job.name, job.id)
+      try {
+        await Promise.all(handlers.map(h => h.fn(job)))
+        await this.markDone(job).catch(() => {}) // may have been marked done by the handler
+        debug('Finished job %s (%s)', job.name, job.id)
+      } catch (err) {
+        let retryAt = await this._retry(job, err)
+        if (retryAt) nextRunAt = Math.min(nextRunAt || Infinity, retryAt)
+      }
+    }
+    return nextRunAt
+  }
+
+  // reschedule a failed job with exponential backoff, or drop it if it's out of attempts
+  async _retry (job, err) {
+    job.attempts++
+    job.lastError = (err && err.message) || String(err)
+    if (job.attempts >= this.maxAttempts) {
+      console.error('[ERROR] Job', job.name, job.id, 'failed', job.attempts, 'times, giving up. Last error:', err)
+      await this.markDone(job)
+      return null
+    }
+    var delay = Math.min(this.retryDelay * Math.pow(2, job.attempts - 1), this.maxRetryDelay)
+    job.runAt = Date.now() + delay
+    debug('Job %s (%s) failed, retrying in %dms', job.name, job.id, delay, err)
+    await this.jobsDB.put(job.id, job)
+    return job.runAt
+  }
+}
+
+module.exports = Jobs
+
+// default job values
+Jobs.defaults = {
+  id: null,
+  name: null,
+  data: {},
+  attempts: 0,
+  lastError: null,
+  runAt: 0,
+  createdAt: 0
+}
+
+function toMs (v) {
+  return (typeof v === 'string') ? ms(v) : v
+}
@@ -0,0 +1,52 @@
+var pda = require('pauls-dat-api')
+var debug = require('debug')('jobs')
+var {wait} = require('../helpers')
+
+// constants
+// =
+
+// how long to wait for the manifest to sync before failing
+const READ_TIMEOUT = 30e3
+
+// the manifest fields which are cached on the archive record
+const MANIFEST_FIELDS = ['url', 'title', 'description', 'author', 'version', 'forkOf', 'createdBy']
+
+// exported api
+// =
+
+// reads the dat.json of an archive and caches its fields on the archive record
+module.exports = async function updateArchiveManifest (cloud, {key}) {
+  var {archivesDB, archiver} = cloud
+
+  // only hosted archives have records
+  var archiveRecord = await archivesDB.getByKey(key)
+  if (!archiveRecord) {
+    return
+  }
+
+  // read the manifest
+  var archive = await archiver.loadArchive(key)
+  var manifest
+  try {
+    manifest = await Promise.race([
+      pda.readManifest(archive),
+      wait(READ_TIMEOUT).then(() => { throw new Error('Timed out reading the manifest') })
+    ])
+  } catch (err) {
+    if (err.notFound || err instanceof SyntaxError) manifest = null // missing or malformed
+    else throw err
+  }
+
+  // pick out the known fields
+  if (manifest && typeof manifest === 'object') {
+    manifest = MANIFEST_FIELDS.reduce((acc, field) => {
+      if (typeof manifest[field] !== 'undefined') acc[field] = manifest[field]
+      return acc
+    }, {})
+  } else {
+    manifest = null
+  }
+
+  await archivesDB.updateManifest(key, manifest)
+  debug('Updated manifest of archive %s', key)
+}
@@ -0,0 +1,46 @@
+var debug = require('debug')('jobs')
+var lock = require('../lock')
+
+// exported api
+// =
+
+// reads the proof from an archive and, if it's valid, marks the claiming user as the archive's verified owner
+// - returns true if the archive was verified
+module.exports = async function verifyArchiveClaim (cloud, {key}) {
+  var {archivesDB, archiver, proofs} = cloud
+  var url = `dat://${key}/`
+
+  // only hosted archives can be claimed
+  var archiveRecord = await archivesDB.getByKey(key)
+  if (!archiveRecord || !archiveRecord.hostingUsers.length) {
+    return false
+  }
+
+  // read & check the proof
+  var archive = await archiver.loadArchive(key)
+  var proof = await proofs.read(archive)
+  if (!proof || proof.url !== url) {
+    debug('No valid claim found in archive %s', key)
+    return false
+  }
+
+  // update the record
+  var release = await lock('archives:update:' + key)
+  try {
+    // make sure the claiming user still hosts the archive
+    archiveRecord = await archivesDB.getByKey(key)
+    if (!archiveRecord || !archiveRecord.hostingUsers.includes(proof.id)) {
+      return false
+    }
+    if (archiveRecord.isVerified && archiveRecord.verifiedBy === proof.id) {
+      return true // already verified
+    }
+    archiveRecord.isVerified = true
+    archiveRecord.verifiedBy = proof.id
+    await archivesDB.put(archiveRecord)
+  } finally {
+    release()
+  }
+  debug('Verified claim of archive %s by %s', key, proof.id)
+  return true
+}
@@ -0,0 +1,115 @@
+var hypercore = require('hypercore')
+var ram = require('random-access-memory')
+var collect = require('stream-collector')
+var debug = require('debug')('jobs')
+
+// exported api
+// =
+
+// re-reads the stored blocks of an archive, and checks them against the feeds' merkle trees and signatures
+// - corrupt blocks are cleared, and the archive is reloaded so they're downloaded again from peers
+// - if no key is given, queues a check of each hosted archive (so other jobs can run in between)
+// - gives the number of corrupt blocks found
+module.exports = async function verifyArchiveIntegrity (cloud, {key} = {}) {
+  var {archivesDB, archiver, jobs} = cloud
+  if (!key) {
+    let keys = await listKeys(archivesDB)
+    for (let key of keys) {
+      await jobs.queue('verify-archive-integrity', {key})
+    }
+    debug('Queued integrity checks of %d archives', keys.length)
+    return 0
+  }
+
+  // only hosted archives have records
+  var archiveRecord = await archivesDB.getByKey(key)
+  if (!archiveRecord) {
+    return 0
+  }
+
+  // taken-down archives have no data
+  if (archiver.isArchiveBlocked(key)) {
+    return 0
+  }
+
+  // check the feeds, and clear the bad blocks
+  var archive = await archiver.loadArchive(key)
+  var numCorrupt = 0
+  for (let feed of [archive.metadata, archive.content]) {
+    if (!feed) continue // no content yet
+    let corrupt = await verifyFeed(feed)
+    for (let i of corrupt) {
+      await call(cb => feed.clear(i, cb))
+    }
+    numCorrupt += corrupt.length
+  }
+
+  if (numCorrupt > 0) {
+    console.error('[ERROR] Found %d corrupt blocks in archive %s, cleared them for re-download', numCorrupt, key)
+
+    // reopen the archive
+    // - the open feeds treat the cleared blocks as already fetched, so they wouldnt ask peers for them again
+    // - also recounts the sync progress
+    await archiver.reloadArchive(key)
+  }
+
+  debug('Verified archive %s, found %d corrupt blocks', key, numCorrupt)
+  await archivesDB.updateIntegrity(key, numCorrupt)
+  return numCorrupt
+}
+
+// internal
+// =
+
+function listKeys (archivesDB) {
+  return new Promise((resolve, reject) => {
+    collect(archivesDB.list(), (err, records) => {
+      if (err) reject(err)
+      else resolve(records.map(r => r.key))
+    })
+  })
+}
+
+// check each stored block of the feed, by putting it into an empty copy of the feed
+// - the copy verifies the block's hash, the tree nodes of its proof, and the signature, as it would for a peer
+// - gives the indexes of the blocks that fail
+async function verifyFeed (feed) {
+  var copy = hypercore(name => name === 'data' ? discardStorage() : ram(), feed.key)
+  await call(cb => copy.ready(cb))
+
+  var corrupt = []
+  try {
+    for (let i = 0; i < feed.length; i++) {
+      if (!feed.has(i)) continue
+      try {
+        let data = await call(cb => feed.get(i, {valueEncoding: 'binary'}, cb))
+        let proof = await call(cb => feed.proof(i, cb))
+        await call(cb => copy.put(i, data, proof, cb))
+      } catch (err) {
+        debug('Block %d of feed %s failed verification', i, feed.key.toString('hex'), err)
+        corrupt.push(i)
+      }
+    }
+  } finally {
+    await call(cb => copy.close(cb))
+  }
+  return corrupt
+}
+
+// a storage which drops its writes
+// (used for the blocks of the copy, since only its tree nodes are needed)
+function discardStorage () {
+  return {
+    read: (offset, length, cb) => process.nextTick(cb, new Error('Not stored')),
+    write: (offset, data, cb) => cb && process.nextTick(cb),
+    del: (offset, length, cb) => cb && process.nextTick(cb),
+    close: cb => cb && process.nextTick(cb)
+  }
+}
+
+function call (fn) {
+  return new Promise((resolve, reject) => fn((err, res) => {
+    if (err) reject(err)
+    else resolve(res)
+  }))
+}
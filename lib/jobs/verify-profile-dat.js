@@ -0,0 +1,42 @@
+var debug = require('debug')('jobs')
+var lock = require('../lock')
+
+// exported api
+// =
+
+// reads the proof from a profile dat and, if it's valid, marks the owner's profile dat as verified
+// - returns true if the profile dat was verified
+module.exports = async function verifyProfileDat (cloud, {key}) {
+  var {usersDB, archiver, proofs} = cloud
+  var profileURL = `dat://${key}/`
+
+  // find the user that uses this profile dat
+  var userRecord = await usersDB.getByProfileURL(profileURL)
+  if (!userRecord || !userRecord.isEmailVerified || userRecord.isProfileDatVerified) {
+    return false
+  }
+
+  // read & check the proof
+  var archive = await archiver.loadArchive(key)
+  var proof = await proofs.read(archive)
+  if (!proof || proof.id !== userRecord.id || proof.profileURL !== profileURL) {
+    debug('No valid proof found in profile dat %s', key)
+    return false
+  }
+
+  // update the record
+  var release = await lock('users:update:' + userRecord.id)
+  try {
+    // make sure the profile dat wasn't changed while we were reading
+    userRecord = await usersDB.getByID(userRecord.id)
+    if (!userRecord || userRecord.profileURL !== profileURL) {
+      return false
+    }
+    userRecord.isProfileDatVerified = true
+    await usersDB.put(userRecord)
+  } finally {
+    release()
+  }
+  debug('Verified profile dat %s for %s', key, userRecord.username)
+  return true
+}
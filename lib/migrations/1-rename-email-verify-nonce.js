@@ -0,0 +1,19 @@
+var {updateRecords} = require('./helpers')
+
+// exported api
+// =
+
+// registration wrote the email nonce to `emailVerificationNonce`, but the schema names it `emailVerifyNonce`
+// - moves the nonce to the schema's field, so accounts which registered before the fix can still verify
+module.exports = async function renameEmailVerifyNonce (cloud, {dryRun}) {
+  return updateRecords(cloud.usersDB.accountsDB, record => {
+    if (!('emailVerificationNonce' in record)) {
+      return false
+    }
+    if (!record.emailVerifyNonce) {
+      record.emailVerifyNonce = record.emailVerificationNonce
+    }
+    delete record.emailVerificationNonce
+    return true
+  }, {dryRun})
+}
@@ -0,0 +1,23 @@
+var UsersDB = require('../dbs/users')
+var ArchivesDB = require('../dbs/archives')
+var ActivityDB = require('../dbs/activity')
+var {updateRecords, fillDefaults} = require('./helpers')
+
+// exported api
+// =
+
+// records written before a field was added to the schema are missing the field
+// - fills in the defaults, so the records have the shape documented in docs/schemas/leveldb.md
+module.exports = async function fillRecordDefaults (cloud, {dryRun}) {
+  var {usersDB, archivesDB, activityDB} = cloud
+  var numAccounts = await updateRecords(usersDB.accountsDB, record => {
+    var changed = fillDefaults(record, UsersDB.defaults)
+    for (let archive of record.archives) {
+      if (fillDefaults(archive, UsersDB.archiveDefaults)) changed = true
+    }
+    return changed
+  }, {dryRun})
+  var numArchives = await updateRecords(archivesDB.archivesDB, record => fillDefaults(record, ArchivesDB.defaults), {dryRun})
+  var numEvents = await updateRecords(activityDB.globalActivityDB, record => fillDefaults(record, ActivityDB.defaults), {dryRun})
+  return numAccounts + numArchives + numEvents
+}
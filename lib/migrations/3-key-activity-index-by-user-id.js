@@ -0,0 +1,50 @@
+var debug = require('debug')('migrations')
+
+// exported api
+// =
+
+// the activity users index was keyed by username, so users lost their events from it when they renamed,
+// and whoever took the old name got them instead
+// - rebuilds the index keyed by user id, as `{userid}!{eventKey}`
+// - gives the number of events which were re-indexed
+module.exports = async function keyActivityIndexByUserId (cloud, {dryRun}) {
+  var {globalActivityDB, usersIndexDB} = cloud.activityDB
+
+  // work out the index from the log
+  var oldKeys = new Set()
+  var newKeys = new Set()
+  await forEach(usersIndexDB.createKeyStream(), key => oldKeys.add(key))
+  await forEach(globalActivityDB.createReadStream(), ({key, value}) => newKeys.add(`${value.userid}!${key}`))
+
+  // swap the entries which differ
+  var ops = []
+  for (let key of newKeys) {
+    if (!oldKeys.has(key)) ops.push({type: 'put', key, value: null})
+  }
+  var numChanged = ops.length
+  for (let key of oldKeys) {
+    if (!newKeys.has(key)) ops.push({type: 'del', key})
+  }
+  debug('%s %d activity index entries', dryRun ? 'Would re-index' : 'Re-indexing', numChanged)
+  if (!dryRun && ops.length > 0) {
+    await new Promise((resolve, reject) => {
+      usersIndexDB.batch(ops, err => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
+  }
+  return numChanged
+}
+
+// internal
+// =
+
+function forEach (stream, fn) {
+  return new Promise((resolve, reject) => {
+    stream
+      .on('data', fn)
+      .on('error', reject)
+      .on('end', resolve)
+  })
+}
@@ -0,0 +1,32 @@
+var debug = require('debug')('migrations')
+
+// exported api
+// =
+
+// the manifest cache is only filled when an archive downloads a new dat.json,
+// so archives which synced theirs before the cache existed have no manifest
+// - queues an update-archive-manifest job for each archive without a manifest
+// - gives the number of jobs queued (which aren't queued in a dry run)
+module.exports = async function queueManifestUpdates (cloud, {dryRun}) {
+  var {archivesDB, jobs} = cloud
+
+  // find the archives
+  var keys = await new Promise((resolve, reject) => {
+    var keys = []
+    archivesDB.list()
+      .on('data', ({key, manifest}) => {
+        if (!manifest) keys.push(key)
+      })
+      .on('error', reject)
+      .on('end', () => resolve(keys))
+  })
+
+  // queue the jobs
+  debug('%s %d manifest updates', dryRun ? 'Would queue' : 'Queueing', keys.length)
+  if (!dryRun) {
+    for (let key of keys) {
+      await jobs.queue('update-archive-manifest', {key})
+    }
+  }
+  return keys.length
+}
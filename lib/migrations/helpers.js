@@ -0,0 +1,51 @@
+var debug = require('debug')('migrations')
+
+// exported api
+// =
+
+// apply `fn` to every record in the level, and write the records it changes
+// - `fn` changes the record in place, and gives true if it did
+// - writes the raw record, so `updatedAt` isnt touched
+// - gives the number of changed records (which aren't written in a dry run)
+exports.updateRecords = function (db, fn, {dryRun}) {
+  return new Promise((resolve, reject) => {
+    var ops = []
+    db.createReadStream()
+      .on('data', ({key, value}) => {
+        if (fn(value, key)) {
+          debug('%s record %s', dryRun ? 'Would change' : 'Changing', key)
+          ops.push({type: 'put', key, value})
+        }
+      })
+      .on('error', reject)
+      .on('end', () => {
+        if (dryRun || ops.length === 0) {
+          return resolve(ops.length)
+        }
+        db.batch(ops, err => {
+          if (err) reject(err)
+          else resolve(ops.length)
+        })
+      })
+  })
+}
+
+// set the fields which are missing from the record to their defaults
+// - gives true if any were missing
+exports.fillDefaults = function (record, defaults) {
+  var changed = false
+  for (let k in defaults) {
+    if (!(k in record)) {
+      record[k] = copy(defaults[k]) // dont share the defaults' arrays and objects
+      changed = true
+    }
+  }
+  return changed
+}
+
+// internal
+// =
+
+function copy (v) {
+  return (v && typeof v === 'object') ? JSON.parse(JSON.stringify(v)) : v
+}
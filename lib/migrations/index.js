@@ -0,0 +1,67 @@
+var levelPromise = require('level-promise')
+var sublevel = require('subleveldown')
+var debug = require('debug')('migrations')
+
+// constants
+// =
+
+// the migrations, in the order they're run
+// - the schema version is the number of migrations which have been run on the db
+// - never reorder or remove an entry, only append
+// - a migration may be re-run if it fails partway, so it must skip records it already changed
+const MIGRATIONS = [
+  require('./1-rename-email-verify-nonce'),
+  require('./2-fill-record-defaults'),
+  require('./3-key-activity-index-by-user-id'),
+  require('./4-queue-manifest-updates')
+]
+
+// exported api
+// =
+
+// brings the stored records up to the current schema
+class Migrations {
+  constructor (cloud) {
+    this.cloud = cloud
+
+    // create levels
+    this.metaDB = sublevel(cloud.db, 'meta', { valueEncoding: 'json' })
+
+    // promisify
+    levelPromise.install(this.metaDB)
+  }
+
+  // the schema version of the code
+  get latestVersion () {
+    return MIGRATIONS.length
+  }
+
+  // the schema version of the db
+  async getVersion () {
+    try {
+      return await this.metaDB.get('schemaVersion')
+    } catch (e) {
+      if (e.notFound) return 0 // no migrations run yet
+      throw e
+    }
+  }
+
+  // run the migrations which the db hasnt had yet
+  // - in a dry run, the changes are counted but not written, and the version stays put
+  // - gives [{version, name, numChanged}], one for each migration run
+  async run ({dryRun = false} = {}) {
+    var version = await this.getVersion()
+    var results = []
+    for (let i = version; i < MIGRATIONS.length; i++) {
+      let migration = MIGRATIONS[i]
+      debug('Running migration %d (%s)%s', i + 1, migration.name, dryRun ? ' as a dry run' : '')
+      let numChanged = await migration(this.cloud, {dryRun})
+      results.push({version: i + 1, name: migration.name, numChanged})
+      if (!dryRun) {
+        await this.metaDB.put('schemaVersion', i + 1)
+      }
+    }
+    return results
+  }
+}
+module.exports = Migrations
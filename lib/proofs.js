@@ -1,16 +1,26 @@
 var assert = require('assert')
 var jwt = require('jsonwebtoken')
+var pda = require('pauls-dat-api')
+var {wait} = require('./helpers')
+
+// constants
+// =
+
+// how long to wait for a proof file to sync before failing
+const READ_TIMEOUT = 30e3
 
 // exported api
 // =
 
 module.exports = class Proofs {
   constructor (config) {
+    assert(config.proofs, 'config.proofs is required')
+    this.hostname = config.hostname
     this.secret = config.proofs.secret
     this.options = config.proofs
     delete this.options.secret
     assert(this.secret, 'config.proofs.secret is required')
-    assert(this.options.algorithm, 'config.sessions.algorithm is required')
+    assert(this.options.algorithm, 'config.proofs.algorithm is required')
   }
 
   verify (token) {
@@ -22,6 +32,7 @@ module.exports = class Proofs {
     }
   }
 
+  // generate a profile-dat proof
   generate (userRecord) {
     return jwt.sign(
       {
@@ -32,4 +43,32 @@ module.exports = class Proofs {
       { algorithm: this.options.algorithm }
     )
   }
+
+  // generate an archive-ownership proof
+  generateClaim (userRecord, url) {
+    return jwt.sign(
+      {
+        id: userRecord.id,
+        url
+      },
+      this.secret,
+      { algorithm: this.options.algorithm }
+    )
+  }
+
+  // read and verify the proof at /proofs/{hostname} in the archive
+  // - returns the decoded proof, or null if it's missing or invalid
+  async read (archive) {
+    var token
+    try {
+      token = await Promise.race([
+        pda.readFile(archive, `/proofs/${this.hostname}`, 'utf8'),
+        wait(READ_TIMEOUT).then(() => { throw new Error('Timed out reading the proof file') })
+      ])
+    } catch (err) {
+      if (err.notFound) return null
+      throw err
+    }
+    return this.verify(token.trim())
+  }
 }
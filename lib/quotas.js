@@ -0,0 +1,109 @@
+var bytes = require('bytes')
+var debug = require('debug')('quotas')
+
+// constants
+// =
+
+// used when the config does not set a limit
+const DEFAULT_DISK_USAGE_LIMIT = '100mb'
+
+// exported api
+// =
+
+module.exports = class Quotas {
+  constructor (cloud) {
+    this.config = cloud.config
+    this.usersDB = cloud.usersDB
+    this.archivesDB = cloud.archivesDB
+    this.archiver = cloud.archiver
+
+    // track archive sizes as they sync
+    this.archiver.on('archive-size', (key, diskUsage) => {
+      this.archivesDB.updateDiskUsage(key, diskUsage)
+        .then(() => this.checkArchive(key))
+        .catch(err => console.error('[ERROR] Failed to update disk usage of', key, err))
+    })
+
+    // hosting changes can push users over (or back under) their quotas
+    const onHostingChange = ({key}) => {
+      this.checkArchive(key)
+        .catch(err => console.error('[ERROR] Failed to check disk quotas of', key, err))
+    }
+    this.archivesDB.on('add-hosting-user', onHostingChange)
+    this.archivesDB.on('remove-hosting-user', onHostingChange)
+
+    // apply the hosting users' size limits when an archive opens, and flag archives that go over
+    this.archiver.on('load-archive', key => onHostingChange({key}))
+    this.archiver.on('archive-oversized', (key, oversized) => {
+      this.archivesDB.updateOversized(key, oversized)
+        .catch(err => console.error('[ERROR] Failed to flag oversized archive', key, err))
+    })
+  }
+
+  // get the number of bytes the user is allowed to host
+  getDiskQuota (userRecord) {
+    if (userRecord && typeof userRecord.diskQuota === 'number') {
+      return userRecord.diskQuota
+    }
+    return bytes.parse(this.config.defaultDiskUsageLimit || DEFAULT_DISK_USAGE_LIMIT)
+  }
+
+  // get the largest archive the user can host, in bytes
+  getMaxArchiveSize (userRecord) {
+    if (userRecord && typeof userRecord.maxArchiveSize === 'number') {
+      return userRecord.maxArchiveSize
+    }
+    return this.archiver.maxArchiveSize
+  }
+
+  // get the number of bytes taken by the user's archives
+  async getDiskUsage (userRecord) {
+    return this.archivesDB.getTotalDiskUsage(userRecord.archives.map(a => a.key))
+  }
+
+  async isOverDiskQuota (userRecord) {
+    return (await this.getDiskUsage(userRecord)) > this.getDiskQuota(userRecord)
+  }
+
+  // get how many more bytes the user can write to the archive
+  // - limited by the user's disk quota, and by the user's archive size limit
+  async getWritableBytes (userRecord, key) {
+    var quotaLeft = this.getDiskQuota(userRecord) - (await this.getDiskUsage(userRecord))
+    var sizeLeft = this.getMaxArchiveSize(userRecord) - this.archiver.getArchiveDiskUsage(key)
+    return Math.max(0, Math.min(quotaLeft, sizeLeft))
+  }
+
+  // pause the archive's download if all of its hosting users are over quota
+  // - also sets the archive's size limit, to the largest allowed by its hosting users
+  async checkArchive (key) {
+    var archiveRecord = await this.archivesDB.getByKey(key)
+    if (!archiveRecord || !archiveRecord.hostingUsers.length) {
+      return
+    }
+
+    var userRecords = []
+    for (let userId of archiveRecord.hostingUsers) {
+      let userRecord = await this.usersDB.getByID(userId)
+      if (userRecord) userRecords.push(userRecord)
+    }
+    if (userRecords.length) {
+      this.archiver.setArchiveSizeLimit(key, Math.max(...userRecords.map(u => this.getMaxArchiveSize(u))))
+    }
+
+    // look for a hosting user with space left
+    for (let userRecord of userRecords) {
+      if (!(await this.isOverDiskQuota(userRecord))) {
+        return this.archiver.resumeDownload(key)
+      }
+    }
+    debug('All hosting users of %s are over quota', key)
+    this.archiver.pauseDownload(key)
+  }
+
+  // re-check all of the user's archives (eg after a quota change)
+  async checkUser (userRecord) {
+    for (let archive of userRecord.archives) {
+      await this.checkArchive(archive.key)
+    }
+  }
+}
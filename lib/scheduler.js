@@ -0,0 +1,164 @@
+var assert = require('assert')
+var debug = require('debug')('scheduler')
+
+// constants
+// =
+
+// ranges of the cron fields: second minute hour day-of-month month day-of-week
+const FIELDS = [
+  {name: 'second', min: 0, max: 59},
+  {name: 'minute', min: 0, max: 59},
+  {name: 'hour', min: 0, max: 23},
+  {name: 'dayOfMonth', min: 1, max: 31},
+  {name: 'month', min: 1, max: 12},
+  {name: 'dayOfWeek', min: 0, max: 7} // 0 and 7 are both sunday
+]
+
+// how many missed seconds to check, if the timer runs late
+const MAX_CATCHUP = 60
+
+// exported api
+// =
+
+module.exports = class Scheduler {
+  constructor (cloud) {
+    this.jobs = cloud.jobs
+    this.schedules = {}
+    this.scheduleCounter = 0
+    this.tickTimeout = null
+    this.lastTick = 0
+  }
+
+  // schedule a job (cron syntax)
+  add (name, when, data = {}) {
+    assert(typeof name === 'string', 'Valid job name')
+    var id = String(++this.scheduleCounter)
+    this.schedules[id] = {id, name, when, data, cron: parseCron(when)}
+    this._startTicking()
+    return id
+  }
+
+  // list active schedules
+  list (name) {
+    return Object.keys(this.schedules)
+      .map(id => this.schedules[id])
+      .filter(s => !name || s.name === name)
+      .map(({id, name, when, data}) => ({id, name, when, data}))
+  }
+
+  // remove a scheduled job
+  remove (id) {
+    delete this.schedules[id]
+    if (Object.keys(this.schedules).length === 0) {
+      this._stopTicking()
+    }
+  }
+
+  close () {
+    this.schedules = {}
+    this._stopTicking()
+  }
+
+  // internal
+  // =
+
+  // tick on every second
+  _startTicking () {
+    if (this.tickTimeout) return
+    if (!this.lastTick) this.lastTick = Math.floor(Date.now() / 1e3)
+    this.tickTimeout = setTimeout(() => {
+      this.tickTimeout = null
+      this._tick()
+      if (Object.keys(this.schedules).length) this._startTicking()
+    }, 1e3 - (Date.now() % 1e3))
+    this.tickTimeout.unref()
+  }
+
+  _stopTicking () {
+    clearTimeout(this.tickTimeout)
+    this.tickTimeout = null
+    this.lastTick = 0
+  }
+
+  _tick () {
+    // check every second since the last tick, in case the timer ran late
+    var now = Math.floor(Date.now() / 1e3)
+    var start = Math.max(this.lastTick + 1, now - MAX_CATCHUP)
+    this.lastTick = now
+    for (let t = start; t <= now; t++) {
+      let date = new Date(t * 1e3)
+      for (let id in this.schedules) {
+        let schedule = this.schedules[id]
+        if (matchesCron(schedule.cron, date)) {
+          this._queue(schedule).catch(err => console.error('[ERROR] Failed to queue scheduled job', schedule.name, err))
+        }
+      }
+    }
+  }
+
+  async _queue ({name, data}) {
+    // dont pile up jobs if the last one hasn't finished
+    if ((await this.jobs.list(name)).length) {
+      debug('Skipping scheduled job %s, already queued', name)
+      return
+    }
+    debug('Queueing scheduled job %s', name)
+    await this.jobs.queue(name, data)
+  }
+}
+
+// exported for testing
+module.exports.parseCron = parseCron
+module.exports.matchesCron = matchesCron
+
+// helpers
+// =
+
+// parse a cron spec into sets of allowed values
+// - supports 5 fields (minute precision) or 6 fields (second precision)
+// - each field can be `*`, a number, a range `a-b`, a step `*/n` or `a-b/n`, or a comma-separated list of those
+function parseCron (when) {
+  assert(typeof when === 'string', 'Cron spec must be a string')
+  var parts = when.trim().split(/\s+/)
+  if (parts.length === 5) parts.unshift('0')
+  assert(parts.length === 6, `Invalid cron spec "${when}", must have 5 or 6 fields`)
+
+  var cron = {}
+  FIELDS.forEach((field, i) => {
+    cron[field.name] = parseCronField(parts[i], field, when)
+  })
+
+  // per cron convention, the day is matched by either day field if both are restricted
+  cron.isDayOfMonthRestricted = !parts[3].startsWith('*')
+  cron.isDayOfWeekRestricted = !parts[5].startsWith('*')
+
+  // normalize sunday
+  if (cron.dayOfWeek.has(7)) cron.dayOfWeek.add(0)
+  return cron
+}
+
+function parseCronField (str, {name, min, max}, when) {
+  var values = new Set()
+  for (let item of str.split(',')) {
+    let match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item)
+    assert(match, `Invalid ${name} "${item}" in cron spec "${when}"`)
+    let start = match[1] === '*' ? min : +match[2]
+    let end = match[1] === '*' ? max : (typeof match[3] !== 'undefined' ? +match[3] : start)
+    let step = match[4] ? +match[4] : 1
+    if (match[4] && match[1] !== '*' && typeof match[3] === 'undefined') end = max // `a/n` means a, a+n, ...
+    assert(start >= min && end <= max && start <= end && step > 0, `Invalid ${name} "${item}" in cron spec "${when}"`)
+    for (let v = start; v <= end; v += step) values.add(v)
+  }
+  return values
+}
+
+function matchesCron (cron, date) {
+  if (!cron.second.has(date.getSeconds())) return false
+  if (!cron.minute.has(date.getMinutes())) return false
+  if (!cron.hour.has(date.getHours())) return false
+  if (!cron.month.has(date.getMonth() + 1)) return false
+  var dom = cron.dayOfMonth.has(date.getDate())
+  var dow = cron.dayOfWeek.has(date.getDay())
+  if (cron.isDayOfMonthRestricted && cron.isDayOfWeekRestricted) return dom || dow
+  return dom && dow
+}
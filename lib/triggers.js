@@ -0,0 +1,99 @@
+var assert = require('assert')
+var debug = require('debug')('triggers')
+
+// exported api
+// =
+
+module.exports = class Triggers {
+  constructor (cloud) {
+    this.archiver = cloud.archiver
+    this.triggers = {}
+    this.triggerCounter = 0
+
+    // watch archives as they are loaded
+    this.archiver.on('load-archive', (key, archive) => this._watch(archive))
+    this.archiver.on('close-archive', (key, archive) => this._unwatch(archive))
+    for (let key in this.archiver.archives) {
+      this._watch(this.archiver.archives[key])
+    }
+  }
+
+  // add a trigger & handler function
+  // - `pathSpec` is a string (exact match) or a RegExp
+  // - `handler` is called with (archive, entry) when a matching path is written
+  add (pathSpec, handler) {
+    assert(typeof pathSpec === 'string' || pathSpec instanceof RegExp, 'Valid path spec')
+    assert(typeof handler === 'function', 'Valid handler function')
+    var id = String(++this.triggerCounter)
+    this.triggers[id] = {id, pathSpec, handler}
+    return id
+  }
+
+  // list the active triggers
+  list () {
+    return Object.keys(this.triggers)
+      .map(id => this.triggers[id])
+      .map(({id, pathSpec}) => ({id, pathSpec}))
+  }
+
+  // remove a trigger & handler
+  remove (id) {
+    delete this.triggers[id]
+  }
+
+  // internal
+  // =
+
+  _watch (archive) {
+    if (archive.onTriggerDownload) return
+    // remote writes arrive as downloads, local writes as appends
+    archive.onTriggerDownload = index => this._onMetadataBlock(archive, index)
+    archive.onTriggerAppend = () => {
+      if (archive.metadata.writable) this._onMetadataBlock(archive, archive.metadata.length - 1)
+    }
+    archive.metadata.on('download', archive.onTriggerDownload)
+    archive.metadata.on('append', archive.onTriggerAppend)
+  }
+
+  _unwatch (archive) {
+    if (!archive.onTriggerDownload) return
+    archive.metadata.removeListener('download', archive.onTriggerDownload)
+    archive.metadata.removeListener('append', archive.onTriggerAppend)
+    archive.onTriggerDownload = archive.onTriggerAppend = null
+  }
+
+  _onMetadataBlock (archive, index) {
+    if (index === 0 || !Object.keys(this.triggers).length) {
+      return // the first block is the header, not a file entry
+    }
+    // read the entry of the block
+    var entry
+    archive.history({start: index, end: index + 1})
+      .on('data', node => { entry = node }) // => {type, version, name, value}
+      .on('error', err => debug('Failed to read metadata block %d of %s', index, archive.key.toString('hex'), err))
+      .on('end', () => {
+        if (entry) this._runTriggers(archive, entry)
+      })
+  }
+
+  _runTriggers (archive, entry) {
+    for (let id in this.triggers) {
+      let {pathSpec, handler} = this.triggers[id]
+      if (!matches(pathSpec, entry.name)) continue
+      debug('Trigger %s matched %s in %s', id, entry.name, archive.key.toString('hex'))
+      try {
+        handler(archive, entry)
+      } catch (err) {
+        console.error('[ERROR] Trigger handler failed for', entry.name, err)
+      }
+    }
+  }
+}
+
+// helpers
+// =
+
+function matches (pathSpec, name) {
+  if (typeof pathSpec === 'string') return pathSpec === name
+  return pathSpec.test(name)
+}
@@ -1,3 +1,5 @@
+const bytes = require('bytes')
+const url = require('url')
 const { DAT_URL_REGEX, DAT_KEY_REGEX, DAT_NAME_REGEX } = require('./const')
 
 exports.isDatURL = value => {
@@ -19,3 +21,27 @@ exports.isScopesArray = value => {
 exports.isSimpleEmail = value => {
   return typeof value === 'string' && value.indexOf('+') === -1
 }
+
+exports.isBytes = value => {
+  if (value === null || (typeof value === 'number' && value >= 0)) return true
+  return typeof value === 'string' && bytes.parse(value) !== null
+}
+
+exports.isString = value => {
+  return typeof value === 'string'
+}
+
+// an http or https url (other schemes, like javascript:, aren't safe to link to)
+exports.isWebsiteURL = value => {
+  if (typeof value !== 'string' || value.length > 512 || /\s/.test(value)) return false
+  var {protocol, hostname} = url.parse(value)
+  return (protocol === 'http:' || protocol === 'https:') && !!hostname
+}
+
+// an avatar is a web url, or the absolute path of a file in the user's profile dat
+exports.isAvatar = value => {
+  if (exports.isWebsiteURL(value)) return true
+  return typeof value === 'string' && value.length <= 512 &&
+    value.startsWith('/') && !value.endsWith('/') &&
+    !value.split('/').includes('..')
+}
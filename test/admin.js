@@ -301,6 +301,22 @@ test('partially update carlita', async t => {
   t.deepEqual(res.body.scopes, ['user'], 'is updated')
 })
 
+test('cant rename a user to a taken or reserved name', async t => {
+  var res = await app.req.post({uri: '/v1/admin/users/carlita', json: {username: 'bob'}, auth})
+  t.is(res.statusCode, 422, '422 taken by another user')
+  t.is(res.body.usernameNotAvailable, true, 'usernameNotAvailable')
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {username: 'carla'}, auth})
+  t.is(res.statusCode, 422, '422 held as the old name of another user')
+  t.is(res.body.usernameNotAvailable, true, 'usernameNotAvailable')
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {username: 'reserved'}, auth})
+  t.is(res.statusCode, 422, '422 reserved')
+  t.is(res.body.reservedName, true, 'reservedName')
+
+  res = await app.req.get({uri: '/v1/admin/users/bob', json: true, auth})
+  t.is(res.statusCode, 200, '200 bob is unchanged')
+  t.is(res.body.email, 'bob@example.com', 'bob is unchanged')
+})
+
 test('suspend bob', async t => {
   var res = await app.req.post({
     uri: '/v1/admin/users/bob/suspend',
@@ -341,6 +357,168 @@ test('bob can login when unsuspended', async t => {
   t.is(res.statusCode, 200, '200 can login when unsuspended')
 })
 
+test('manage archives', async t => {
+  var keyA = 'a'.repeat(64)
+  var keyB = 'b'.repeat(64)
+
+  // add archives as bob and admin
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'foobar'}})
+  var bobAuth = {bearer: res.body.sessionToken}
+  res = await app.req.post({uri: '/v1/archives/add', json: {key: keyA}, auth: bobAuth})
+  t.is(res.statusCode, 200, '200 added dat')
+  res = await app.req.post({uri: '/v1/archives/add', json: {key: keyB}, auth: bobAuth})
+  t.is(res.statusCode, 200, '200 added dat')
+  res = await app.req.post({uri: '/v1/archives/add', json: {key: keyB}, auth})
+  t.is(res.statusCode, 200, '200 added dat')
+
+  // list
+  res = await app.req.get({url: '/v1/admin/archives', json: true, auth: bobAuth})
+  t.is(res.statusCode, 403, '403 not an admin')
+  res = await app.req.get({url: '/v1/admin/archives', json: true, auth})
+  t.is(res.statusCode, 200, '200 got archives')
+  t.deepEqual(res.body.archives.map(a => a.key), [keyA, keyB], 'sorted by key')
+  res = await app.req.get({url: '/v1/admin/archives', qs: {sort: 'createdAt', reverse: 1, limit: 1}, json: true, auth})
+  t.deepEqual(res.body.archives.map(a => a.key), [keyB], 'sorted by creation, newest first')
+  res = await app.req.get({url: '/v1/admin/archives', qs: {sort: 'createdAt', reverse: 1, cursor: keyB}, json: true, auth})
+  t.deepEqual(res.body.archives.map(a => a.key), [keyA], 'got the next page')
+  res = await app.req.get({url: '/v1/admin/archives', qs: {sort: 'createdAt', cursor: 'c'.repeat(64)}, json: true, auth})
+  t.deepEqual(res.body.archives, [], 'an unknown cursor gives an empty page')
+  res = await app.req.get({url: '/v1/admin/archives', qs: {sort: 'name'}, json: true, auth})
+  t.is(res.statusCode, 422, '422 invalid sort')
+
+  // get
+  res = await app.req.get({url: `/v1/admin/archives/${keyB}`, json: true, auth})
+  t.is(res.statusCode, 200, '200 got archive')
+  t.deepEqual(res.body.hostingUsers.map(u => u.username), ['bob', 'admin'], 'got the hosting users')
+  t.is(typeof res.body.diskUsage, 'number', 'got the disk usage')
+  res = await app.req.get({url: `/v1/admin/archives/${'c'.repeat(64)}`, json: true, auth})
+  t.is(res.statusCode, 404, '404 not hosted')
+
+  // reload
+  res = await app.req.post({url: `/v1/admin/archives/${keyA}/reload`, json: true, auth})
+  t.is(res.statusCode, 200, '200 reloaded')
+  res = await app.req.post({url: `/v1/admin/archives/${keyA}/reload`, json: true, auth: bobAuth})
+  t.is(res.statusCode, 403, '403 not an admin')
+
+  // remove from everyone
+  res = await app.req.post({url: `/v1/admin/archives/${keyB}/remove`, json: true, auth})
+  t.is(res.statusCode, 200, '200 removed')
+  res = await app.req.get({url: `/v1/admin/archives/${keyB}`, json: true, auth})
+  t.deepEqual(res.body.hostingUsers, [], 'no hosting users left')
+  res = await app.req.get({url: '/v1/admin/users/bob', json: true, auth})
+  t.deepEqual(res.body.archives.map(a => a.key), [keyA], 'removed from bob')
+  res = await app.req.get({url: '/v1/admin/users/admin', json: true, auth})
+  t.deepEqual(res.body.archives, [], 'removed from admin')
+})
+
+test('takedown archives', async t => {
+  var key = 'd'.repeat(64)
+  var reason = 'Copyright infringement'
+  var legalRef = 'Notice #1234'
+
+  // add an archive as bob
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'foobar'}})
+  var bobAuth = {bearer: res.body.sessionToken}
+  res = await app.req.post({uri: '/v1/archives/add', json: {key, name: 'takedown-test'}, auth: bobAuth})
+  t.is(res.statusCode, 200, '200 added dat')
+
+  // block
+  res = await app.req.post({uri: '/v1/admin/blocklist/add', json: {key, reason, legalRef}, auth: bobAuth})
+  t.is(res.statusCode, 403, '403 not an admin')
+  res = await app.req.post({uri: '/v1/admin/blocklist/add', json: {key}, auth})
+  t.is(res.statusCode, 422, '422 reason required')
+  res = await app.req.post({uri: '/v1/admin/blocklist/add', json: {key, reason, legalRef}, auth})
+  t.is(res.statusCode, 200, '200 blocked')
+  t.is(res.body.reason, reason, 'got the blocklist entry')
+  if (!app.isRemote) {
+    t.truthy(app.cloud.archiver.isArchiveBlocked(key), 'blocked in the archiver')
+    t.falsy(app.cloud.archiver.getArchive(key), 'archive closed')
+  }
+  res = await app.req.get({uri: '/v1/admin/blocklist', json: true, auth})
+  t.deepEqual(res.body.blocklist.map(b => b.key), [key], 'listed')
+
+  // the hosting user sees the takedown
+  res = await app.req.get({uri: '/v1/users/bob', qs: {view: 'archives'}, json: true})
+  var takedown = res.body.archives.find(a => a.key === key).takedown
+  t.is(takedown.reason, reason, 'takedown reason in the archives listing')
+  t.is(takedown.legalRef, legalRef, 'takedown legal reference in the archives listing')
+  res = await app.req.get({uri: '/v1/users/bob/takedown-test', json: true})
+  t.is(res.body.takedown.reason, reason, 'takedown reason in the archive info')
+  res = await app.req.get({uri: `/v1/archives/${key}`, qs: {view: 'status'}, json: true})
+  t.is(res.body.takedown.reason, reason, 'takedown reason in the archive status')
+
+  // cant be added or served
+  res = await app.req.post({uri: '/v1/archives/add', json: {key}, auth})
+  t.is(res.statusCode, 451, '451 cant add a blocked dat')
+  t.is(res.body.reason, reason, 'got the reason')
+  if (!app.isRemote) {
+    res = await app.req.get({uri: '/takedown-test/', headers: {host: 'bob.test.local'}, json: true})
+    t.is(res.statusCode, 451, '451 cant serve a blocked dat')
+    t.is(res.body.reason, reason, 'got the reason')
+  }
+
+  // unblock
+  res = await app.req.post({uri: '/v1/admin/blocklist/remove', json: {key}, auth})
+  t.is(res.statusCode, 200, '200 unblocked')
+  res = await app.req.post({uri: '/v1/admin/blocklist/remove', json: {key}, auth})
+  t.is(res.statusCode, 404, '404 not blocked')
+  if (!app.isRemote) {
+    t.falsy(app.cloud.archiver.isArchiveBlocked(key), 'unblocked in the archiver')
+  }
+  res = await app.req.get({uri: '/v1/users/bob', qs: {view: 'archives'}, json: true})
+  t.is(res.body.archives.find(a => a.key === key).takedown, null, 'takedown cleared')
+
+  // every action was logged
+  res = await app.req.get({uri: '/v1/admin/blocklist', qs: {view: 'log'}, json: true, auth})
+  t.deepEqual(res.body.log.filter(e => e.key === key).map(e => e.action), ['block', 'unblock'], 'got the log')
+})
+
+test('get stats', async t => {
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'foobar'}})
+  var bobAuth = {bearer: res.body.sessionToken}
+  res = await app.req.get({uri: '/v1/admin/stats', json: true, auth: bobAuth})
+  t.is(res.statusCode, 403, '403 not an admin')
+
+  res = await app.req.get({uri: '/v1/admin/stats', json: true, auth})
+  t.is(res.statusCode, 200, '200 got stats')
+  if (!app.isRemote) {
+    // the data directory holds at least the db
+    t.truthy(res.body.diskUsage > 0, 'measured the data directory')
+  }
+  t.is(res.body.numUsers, 4, 'counted the users')
+  t.is(res.body.numVerifiedUsers, 4, 'counted the verified users')
+  t.is(res.body.numArchives, 3, 'counted the archives')
+  t.is(res.body.numDeadArchives, 1, 'counted the dead archives')
+  t.is(typeof res.body.diskUsage, 'number', 'got the disk usage')
+  t.is(typeof res.body.numLoadedArchives, 'number', 'got the loaded archives')
+  t.is(typeof res.body.numLoadingArchives, 'number', 'got the loading archives')
+  t.is(typeof res.body.numPeers, 'number', 'got the peers')
+  t.deepEqual(res.body.activity, {lastHour: 4, lastDay: 4, lastWeek: 4}, 'counted the activity')
+})
+
+test('takedown of a created archive keeps it writable', async t => {
+  var reason = 'Copyright infringement'
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'foobar'}})
+  var bobAuth = {bearer: res.body.sessionToken}
+  res = await app.req.post({uri: '/v1/archives/create', json: {name: 'takedown-created'}, auth: bobAuth})
+  t.is(res.statusCode, 200, '200 created archive')
+  var key = res.body.key
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hello', auth: bobAuth})
+  t.is(res.statusCode, 200, '200 wrote file')
+
+  // block
+  res = await app.req.post({uri: '/v1/admin/blocklist/add', json: {key, reason}, auth})
+  t.is(res.statusCode, 200, '200 blocked')
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hello again', auth: bobAuth})
+  t.is(res.statusCode, 451, '451 cant write to a blocked archive')
+
+  // unblock
+  res = await app.req.post({uri: '/v1/admin/blocklist/remove', json: {key}, auth})
+  t.is(res.statusCode, 200, '200 unblocked')
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hello again', auth: bobAuth})
+  t.is(res.statusCode, 200, '200 archive is writable again')
+})
+
 test.cb('stop test server', t => {
   app.close(() => {
     t.pass('closed')
@@ -1,6 +1,12 @@
 var test = require('ava')
 var path = require('path')
+var fs = require('fs')
+var http = require('http')
+var {PassThrough} = require('stream')
+var tarStream = require('tar-stream')
+var hyperdrive = require('hyperdrive')
 var createTestServer = require('./lib/server.js')
+var util = require('./lib/util.js')
 var { makeDatFromFolder, downloadDatFromSwarm } = require('./lib/dat.js')
 
 var app
@@ -68,7 +74,10 @@ test('register and login bob', async t => {
 })
 
 test.cb('share test-dat', t => {
-  makeDatFromFolder(path.join(__dirname, '/scaffold/testdat1'), (err, d, dkey) => {
+  // copy the scaffold, so that the files written by these tests dont build up in its history
+  var dir = util.mktmpdir()
+  fs.writeFileSync(path.join(dir, 'hello.txt'), fs.readFileSync(path.join(__dirname, '/scaffold/testdat1/hello.txt')))
+  makeDatFromFolder(dir, (err, d, dkey) => {
     t.ifError(err)
     testDat = d
     testDatKey = dkey
@@ -85,7 +94,10 @@ test('add archive', async t => {
   t.is(res.statusCode, 200, '200 got user data')
   t.deepEqual(res.body.archives[0], {
     key: testDatKey,
-    name: null
+    name: null,
+    title: null,
+    description: null,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/' + testDatKey, json: true, auth})
@@ -95,7 +107,9 @@ test('add archive', async t => {
     key: testDatKey,
     name: null,
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 })
 
@@ -108,7 +122,10 @@ test('add duplicate archive as another user', async t => {
   t.is(res.statusCode, 200, '200 got user data')
   t.deepEqual(res.body.archives[0], {
     key: testDatKey,
-    name: null
+    name: null,
+    title: null,
+    description: null,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/bob/' + testDatKey, json: true, auth: authUser})
@@ -118,7 +135,9 @@ test('add duplicate archive as another user', async t => {
     key: testDatKey,
     name: null,
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 })
 
@@ -131,7 +150,10 @@ test('add archive that was already added', async t => {
   t.is(res.statusCode, 200, '200 got user data')
   t.deepEqual(res.body.archives[0], {
     key: testDatKey,
-    name: null
+    name: null,
+    title: null,
+    description: null,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/' + testDatKey, json: true, auth})
@@ -141,7 +163,9 @@ test('add archive that was already added', async t => {
     key: testDatKey,
     name: null,
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 })
 
@@ -155,7 +179,10 @@ test('change archive name', async t => {
   t.is(res.statusCode, 200, '200 got user data')
   t.deepEqual(res.body.archives[0], {
     key: testDatKey,
-    name: 'test-archive'
+    name: 'test-archive',
+    title: null,
+    description: null,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/test-archive', json: true, auth})
@@ -165,7 +192,9 @@ test('change archive name', async t => {
     key: testDatKey,
     name: 'test-archive',
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/' + testDatKey, json: true, auth})
@@ -175,7 +204,9 @@ test('change archive name', async t => {
     key: testDatKey,
     name: 'test-archive',
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 
   // change to invalid names
@@ -192,7 +223,10 @@ test('change archive name', async t => {
   t.is(res.statusCode, 200, '200 got user data')
   t.deepEqual(res.body.archives[0], {
     key: testDatKey,
-    name: 'test--dat'
+    name: 'test--dat',
+    title: null,
+    description: null,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/test--dat', json: true, auth})
@@ -202,7 +236,9 @@ test('change archive name', async t => {
     key: testDatKey,
     name: 'test--dat',
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/' + testDatKey, json: true, auth})
@@ -212,7 +248,9 @@ test('change archive name', async t => {
     key: testDatKey,
     name: 'test--dat',
     title: null,
-    description: null
+    description: null,
+    isVerified: false,
+    takedown: null
   })
 
   res = await app.req.get({url: '/v1/users/admin/test-archive', json: true, auth})
@@ -253,6 +291,458 @@ test.cb('check archive status and wait till synced', t => {
   }
 })
 
+test.cb('stream archive status events', t => {
+  var events = []
+  var buf = ''
+  var req = http.get(`${app.url}/v1/archives/${testDatKey}?view=events`, res => {
+    t.is(res.statusCode, 200, '200 got events')
+    t.is(res.headers['content-type'], 'text/event-stream', 'is an event stream')
+    res.setEncoding('utf8')
+    res.on('data', chunk => {
+      // parse the events
+      buf += chunk
+      var parts = buf.split('\n\n')
+      buf = parts.pop()
+      parts.forEach(part => {
+        var [, event, data] = /^event: (.*)\ndata: (.*)$/.exec(part)
+        events.push({event, data: JSON.parse(data)})
+      })
+
+      // the initial state is sent on connect
+      if (events.length === 3) {
+        t.deepEqual(events.map(e => e.event), ['progress', 'peers', 'version'])
+        t.is(events[0].data.progress, 1, 'archive is synced')
+        t.truthy(events[1].data.numPeers >= 1, 'connected to the test dat')
+        t.truthy(events[2].data.version >= 1, 'has a version')
+
+        // changes are pushed as they sync
+        testDat.archive.writeFile('/events-test.txt', 'hello', err => t.ifError(err))
+      }
+      if (events.length < 3) return
+      var lastProgress = events.filter(e => e.event === 'progress').pop()
+      var lastVersion = events.filter(e => e.event === 'version').pop()
+      if (lastVersion.data.version > events[2].data.version && lastProgress !== events[0] && lastProgress.data.progress === 1) {
+        t.pass('got the new version')
+        req.abort()
+        t.end()
+      }
+    })
+  })
+})
+
+test('triggers fire when matching files are written', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {triggers} = app.cloud
+
+  var entries = []
+  var stringId = triggers.add('/trigger-test.txt', (archive, entry) => entries.push(['string', entry.name]))
+  var regexId = triggers.add(/^\/trigger-/, (archive, entry) => entries.push(['regex', entry.name]))
+  var otherId = triggers.add('/other.txt', (archive, entry) => entries.push(['other', entry.name]))
+  t.deepEqual(triggers.list().slice(-3), [
+    {id: stringId, pathSpec: '/trigger-test.txt'},
+    {id: regexId, pathSpec: /^\/trigger-/},
+    {id: otherId, pathSpec: '/other.txt'}
+  ], 'triggers are listed')
+  var numTriggers = triggers.list().length
+
+  // write to the origin dat, which the server is syncing
+  await new Promise((resolve, reject) => {
+    testDat.archive.writeFile('/trigger-test.txt', 'hello', err => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+  await waitUntil(() => entries.length >= 2)
+  t.deepEqual(entries.sort(), [['regex', '/trigger-test.txt'], ['string', '/trigger-test.txt']], 'matching triggers fired')
+
+  triggers.remove(stringId)
+  triggers.remove(regexId)
+  triggers.remove(otherId)
+  t.is(triggers.list().length, numTriggers - 3, 'triggers removed')
+})
+
+test('serve files and historic versions over the http gateway', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var headers = {host: 'admin.test.local'}
+  const writeFile = (name, content) => new Promise((resolve, reject) => {
+    testDat.archive.writeFile(name, content, err => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+
+  // write a file, then change it
+  await writeFile('/gateway-test.txt', 'first')
+  var version = testDat.archive.version
+  await waitUntil(() => app.cloud.archiver.getArchiveVersion(testDatKey) === version)
+  await writeFile('/gateway-test.txt', 'second')
+  await waitUntil(() => app.cloud.archiver.getArchiveVersion(testDatKey) > version)
+
+  // latest
+  var res = await app.req({uri: '/test-duplicate-archive', headers, followRedirect: false})
+  t.is(res.statusCode, 301, '301 archive root needs a trailing slash')
+  t.is(res.headers.location, '/test-duplicate-archive/')
+  res = await app.req({uri: '/test-duplicate-archive/gateway-test.txt', headers})
+  t.is(res.statusCode, 200, '200 got file')
+  t.is(res.body, 'second', 'latest content')
+  t.is(res.headers['cache-control'], 'public, max-age=60')
+  res = await app.req({uri: '/test-duplicate-archive/', headers})
+  t.is(res.statusCode, 200, '200 got directory listing')
+  t.truthy(res.body.includes('<a href="hello.txt">hello.txt</a>'), 'listing has relative links')
+
+  // historic version in the path
+  res = await app.req({uri: `/test-duplicate-archive+${version}/gateway-test.txt`, headers})
+  t.is(res.statusCode, 200, '200 got historic file')
+  t.is(res.body, 'first', 'historic content')
+  t.is(res.headers['cache-control'], 'public, max-age=31536000, immutable')
+  res = await app.req({uri: `/test-duplicate-archive+${version}/`, headers})
+  t.is(res.statusCode, 200, '200 got historic directory listing')
+  t.is(res.headers['cache-control'], 'public, max-age=31536000, immutable')
+
+  // historic version in the query
+  res = await app.req({uri: '/test-duplicate-archive/gateway-test.txt', qs: {version}, headers})
+  t.is(res.statusCode, 200, '200 got historic file')
+  t.is(res.body, 'first', 'historic content')
+
+  // files that didnt exist yet, and versions that dont exist yet
+  res = await app.req({uri: `/test-duplicate-archive+1/gateway-test.txt`, headers})
+  t.is(res.statusCode, 404, '404 file not in the version')
+  res = await app.req({uri: `/test-duplicate-archive+${version + 1000}/gateway-test.txt`, headers})
+  t.is(res.statusCode, 404, '404 unknown version')
+  res = await app.req({uri: '/test-duplicate-archive/gateway-test.txt', qs: {version: 'foo'}, headers})
+  t.is(res.statusCode, 404, '404 invalid version')
+})
+
+test('export archives as zip and tar', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  // write a file into a folder
+  await new Promise((resolve, reject) => {
+    testDat.archive.writeFile('/export-test/file.txt', 'exported', err => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+  var version = testDat.archive.version
+  await waitUntil(() => app.cloud.archiver.getArchiveVersion(testDatKey) >= version)
+
+  // whole archive
+  var res = await app.req({uri: `/v1/archives/${testDatKey}/export`, encoding: null})
+  t.is(res.statusCode, 200, '200 got zip')
+  t.is(res.headers['content-type'], 'application/zip')
+  t.is(res.headers['content-disposition'], `attachment; filename="${testDatKey}.zip"`)
+  t.is(res.body.slice(0, 4).toString('hex'), '504b0304', 'is a zip')
+  t.truthy(res.body.includes('export-test/file.txt'), 'zip has the file')
+  res = await app.req({uri: `/v1/archives/${testDatKey}/export`, qs: {format: 'tar'}, encoding: null})
+  t.is(res.statusCode, 200, '200 got tar')
+  t.is(res.headers['content-type'], 'application/x-tar')
+  var files = await readTar(res.body)
+  t.is(files['hello.txt'], fs.readFileSync(path.join(__dirname, 'scaffold/testdat1/hello.txt'), 'utf8'), 'tar has the files')
+  t.is(files['gateway-test.txt'], 'second', 'tar has the latest content')
+  t.is(files['export-test/file.txt'], 'exported', 'tar has the nested files')
+
+  // a folder, at a historic version
+  res = await app.req({uri: `/v1/archives/${testDatKey}/export`, qs: {format: 'tar', path: '/export-test'}, encoding: null})
+  t.is(res.statusCode, 200, '200 got folder tar')
+  t.deepEqual(await readTar(res.body), {'file.txt': 'exported'}, 'tar has the folder')
+  res = await app.req({uri: `/v1/archives/${testDatKey}/export`, qs: {format: 'tar', version: version - 1}, encoding: null})
+  t.is(res.statusCode, 200, '200 got historic tar')
+  t.is(res.headers['content-disposition'], `attachment; filename="${testDatKey}+${version - 1}.tar"`)
+  files = await readTar(res.body)
+  t.falsy(files['export-test/file.txt'], 'historic tar doesnt have the new file')
+
+  // over the http gateway
+  var headers = {host: 'admin.test.local'}
+  res = await app.req({uri: '/test-duplicate-archive/export-test/', qs: {export: 'tar'}, headers, encoding: null})
+  t.is(res.statusCode, 200, '200 got tar from the gateway')
+  t.is(res.headers['content-disposition'], 'attachment; filename="test-duplicate-archive.tar"')
+  t.deepEqual(await readTar(res.body), {'file.txt': 'exported'}, 'tar has the folder')
+
+  // bad requests
+  res = await app.req({uri: `/v1/archives/${testDatKey}/export`, qs: {format: 'rar'}, json: true})
+  t.is(res.statusCode, 422, '422 bad format')
+  res = await app.req({uri: `/v1/archives/${testDatKey}/export`, qs: {path: '/nope'}, json: true})
+  t.is(res.statusCode, 404, '404 unknown folder')
+  res = await app.req({uri: `/v1/archives/${testDatKey}/export`, qs: {version: version + 1000}, json: true})
+  t.is(res.statusCode, 404, '404 unknown version')
+})
+
+test('archive title and description are read from the manifest', async t => {
+  // write the manifest to the origin dat, which the server is syncing
+  await new Promise((resolve, reject) => {
+    var manifest = {title: 'Test Dat', description: 'A dat for testing', author: 'Bob'}
+    testDat.archive.writeFile('/dat.json', JSON.stringify(manifest), err => {
+      if (err) reject(err)
+      else resolve()
+    })
+  })
+
+  // wait for the manifest to be cached
+  var res
+  await waitUntil(async () => {
+    res = await app.req.get({url: '/v1/users/admin/' + testDatKey, json: true, auth})
+    return res.body.title === 'Test Dat'
+  })
+  t.is(res.statusCode, 200, '200 got dat data')
+  t.is(res.body.title, 'Test Dat', 'title is set')
+  t.is(res.body.description, 'A dat for testing', 'description is set')
+
+  res = await app.req.get({url: '/v1/users/admin?view=archives', json: true, auth})
+  t.is(res.statusCode, 200, '200 got user data')
+  t.is(res.body.archives[0].title, 'Test Dat', 'title is listed')
+  t.is(res.body.archives[0].description, 'A dat for testing', 'description is listed')
+
+  if (!app.isRemote) {
+    var archiveRecord = await app.cloud.archivesDB.getByKey(testDatKey)
+    t.is(archiveRecord.manifest.author, 'Bob', 'other fields are cached')
+  }
+})
+
+test('claim archive ownership', async t => {
+  // cant claim archives that arent added
+  var res = await app.req.post({uri: '/v1/archives/claim', json: {key: 'f'.repeat(64)}, auth})
+  t.is(res.statusCode, 422, '422 archive not added')
+  t.truthy(res.body.archiveNotAdded, 'archiveNotAdded')
+
+  // get the proof
+  res = await app.req.post({uri: '/v1/archives/claim', json: {url: `dat://${testDatKey}/`}, auth})
+  t.is(res.statusCode, 200, '200 got proof')
+  t.truthy(res.body.proof, 'got proof')
+  var {proof, hostname} = res.body
+
+  res = await app.req.get({url: `/v1/archives/${testDatKey}`, qs: {view: 'proofs'}, json: true})
+  t.is(res.statusCode, 200, '200 got proofs')
+  t.deepEqual(res.body, {isVerified: false, verifiedBy: null}, 'not verified yet')
+
+  // write the proof to the dat
+  await new Promise((resolve, reject) => {
+    testDat.archive.mkdir('/proofs', () => {
+      testDat.archive.writeFile(`/proofs/${hostname}`, proof, err => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
+  })
+
+  // wait for the server to sync & verify
+  for (var i = 0; i < 100; i++) {
+    res = await app.req.get({url: `/v1/archives/${testDatKey}`, qs: {view: 'proofs'}, json: true})
+    if (res.body.isVerified) break
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  t.deepEqual(res.body, {isVerified: true, verifiedBy: 'admin'}, 'verified')
+
+  // the owner's listing is verified, but not the mirror
+  res = await app.req.get({url: '/v1/users/admin/' + testDatKey, json: true})
+  t.is(res.body.isVerified, true, 'verified for the owner')
+  res = await app.req.get({url: '/v1/users/bob/' + testDatKey, json: true})
+  t.is(res.body.isVerified, false, 'not verified for the mirror')
+})
+
+test('get archive peers', async t => {
+  var res = await app.req({uri: `/v1/archives/${testDatKey}`, qs: {view: 'peers'}, json: true})
+  t.is(res.statusCode, 200, '200 got peers')
+  t.truthy(res.body.numPeers >= 1, 'connected to the test dat')
+  t.is(res.body.numPeers, res.body.peers.length, 'numPeers is correct')
+  t.is(res.body.numTCP + res.body.numUTP, res.body.numPeers, 'counted by type')
+  t.truthy(res.body.bytesDownloaded > 0, 'downloaded the test dat')
+  var peer = res.body.peers[0]
+  t.truthy(['tcp', 'utp'].includes(peer.type), 'peer has a type')
+  t.is(typeof peer.host, 'string', 'peer has a host')
+  t.truthy(peer.age >= 0, 'peer has a connection age')
+
+  res = await app.req({uri: `/v1/archives/${'f'.repeat(64)}`, qs: {view: 'peers'}, json: true})
+  t.is(res.statusCode, 404, '404 unknown archive')
+})
+
+test('bandwidth is counted per archive and per user', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  await app.cloud.bandwidth.flush()
+
+  // account api
+  var res = await app.req.get({url: '/v1/account', qs: {view: 'bandwidth'}, json: true, auth})
+  t.is(res.statusCode, 200, '200 got bandwidth')
+  // (the run may cross an hour or day boundary, so there can be more than one of each)
+  t.truthy(res.body.hourly.length >= 1, 'hourly totals')
+  t.truthy(res.body.daily.length >= 1, 'daily totals')
+  t.truthy(/^\d{4}-\d{2}-\d{2}$/.test(res.body.daily[0].time), 'labeled by day')
+  t.truthy(sumDownloaded(res.body.daily) > 0, 'counted the downloaded bytes')
+  t.is(sumDownloaded(res.body.daily), sumDownloaded(res.body.hourly), 'hourly and daily totals match')
+
+  // admin api
+  var res2 = await app.req.get({url: '/v1/admin/users/bob', qs: {view: 'bandwidth'}, json: true, auth})
+  t.is(res2.statusCode, 200, '200 got bandwidth')
+  t.deepEqual(res2.body.daily, res.body.daily, 'both hosting users are counted')
+  res2 = await app.req.get({url: '/v1/admin/users/bob', qs: {view: 'bandwidth'}, json: true, auth: authUser})
+  t.is(res2.statusCode, 403, '403 not an admin')
+
+  // archive totals
+  res2 = await app.req.get({url: `/v1/admin/archives/${testDatKey}`, qs: {view: 'bandwidth'}, json: true, auth})
+  t.is(res2.statusCode, 200, '200 got archive bandwidth')
+  t.deepEqual(res2.body.daily, res.body.daily, 'archive is counted')
+  res2 = await app.req.get({url: `/v1/admin/archives/${testDatKey}`, qs: {view: 'bandwidth'}, json: true, auth: authUser})
+  t.is(res2.statusCode, 403, '403 not an admin')
+})
+
+test('corrupt blocks are found and downloaded again', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var verifyArchiveIntegrity = require('../lib/jobs/verify-archive-integrity')
+  var {archiver, archivesDB} = app.cloud
+
+  // admins can queue a check
+  var res = await app.req.post({uri: `/v1/admin/archives/${testDatKey}/verify`, auth: authUser})
+  t.is(res.statusCode, 403, '403 not an admin')
+  res = await app.req.post({uri: `/v1/admin/archives/${'e'.repeat(64)}/verify`, auth})
+  t.is(res.statusCode, 404, '404 not hosted')
+  res = await app.req.post({uri: `/v1/admin/archives/${testDatKey}/verify`, auth})
+  t.is(res.statusCode, 200, '200 queued check')
+  await waitUntil(async () => (await archivesDB.getByKey(testDatKey)).integrityCheckedAt > 0)
+  var archiveRecord = await archivesDB.getByKey(testDatKey)
+  t.is(archiveRecord.isCorrupted, false, 'archive is intact')
+
+  // corrupt the first content block on disk
+  await archiver.loadArchive(testDatKey)
+  var fd = fs.openSync(path.join(archiver._getArchiveFilesPath(testDatKey), 'content', 'data'), 'r+')
+  fs.writeSync(fd, Buffer.from('xx'), 0, 2, 0)
+  fs.closeSync(fd)
+  t.is(await verifyArchiveIntegrity(app.cloud, {key: testDatKey}), 1, 'found the corrupt block')
+  archiveRecord = await archivesDB.getByKey(testDatKey)
+  t.is(archiveRecord.isCorrupted, true, 'archive is flagged')
+  t.is(archiveRecord.numCorruptBlocks, 1)
+
+  // the block is fetched again from the origin
+  await waitUntil(() => archiver.getArchive(testDatKey) && archiver.getArchive(testDatKey).content.has(0))
+  t.is(await verifyArchiveIntegrity(app.cloud, {key: testDatKey}), 0, 'archive was repaired')
+  archiveRecord = await archivesDB.getByKey(testDatKey)
+  t.is(archiveRecord.isCorrupted, false, 'archive is no longer flagged')
+
+  // the scheduled check queues a check of each archive
+  var {integrityCheckedAt} = archiveRecord
+  await verifyArchiveIntegrity(app.cloud)
+  await waitUntil(async () => (await archivesDB.getByKey(testDatKey)).integrityCheckedAt > integrityCheckedAt)
+  t.pass('archive was checked')
+})
+
+test('closed archives are seeded and reopened on demand', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {archiver} = app.cloud
+  var otherDat = await new Promise((resolve, reject) => {
+    makeDatFromFolder(util.mktmpdir(), (err, dat) => {
+      if (err) reject(err)
+      else resolve(dat)
+    })
+  })
+  var otherKey = otherDat.key.toString('hex')
+
+  // fill the open-archives list, so the least-recently used is closed
+  var maxOpenArchives = archiver.openArchives.max
+  archiver.openArchives.max = archiver.openArchives.length
+  Object.keys(archiver.archives).filter(k => k !== testDatKey).forEach(k => archiver.getArchive(k))
+  await archiver.loadArchive(otherKey)
+  await waitUntil(() => Object.values(archiver.swarmKeys).includes(testDatKey))
+  t.truthy(archiver.getArchive(otherKey), 'new archive is open')
+  t.falsy(archiver.getArchive(testDatKey), 'oldest archive was closed')
+  t.pass('closed archive is still announced')
+
+  // reopen on demand
+  archiver.openArchives.max = maxOpenArchives
+  var res = await app.req({uri: `/v1/archives/${testDatKey}`, qs: {view: 'status'}, json: true, auth})
+  t.is(res.statusCode, 200, '200 got status')
+  t.is(res.body.progress, 1, 'archive is still synced')
+  t.truthy(archiver.getArchive(testDatKey), 'archive was reopened')
+  t.truthy(Object.values(archiver.swarmKeys).includes(testDatKey), 'archive is still swarmed')
+
+  // closing stops the seeding
+  await archiver.closeArchive(otherKey)
+  t.falsy(Object.values(archiver.swarmKeys).includes(otherKey), 'closed archive left the swarm')
+  await new Promise(resolve => otherDat.close(resolve))
+})
+
+test('account reports disk usage', async t => {
+  // wait for the archive size to be recorded
+  var res
+  for (var i = 0; i < 50; i++) {
+    res = await app.req.get({url: '/v1/account', json: true, auth})
+    if (res.body.diskUsage > 0) break
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  t.is(res.statusCode, 200, '200 got account')
+  t.truthy(res.body.diskUsage > 0, 'disk usage is reported')
+  t.is(res.body.diskQuota, 100 * 1024 * 1024, 'default disk quota is reported')
+})
+
+test('cant add archives when over the disk quota', async t => {
+  // set bob's quota below his usage
+  var res = await app.req.post({uri: '/v1/admin/users/bob', json: {diskQuota: 1}, auth})
+  t.is(res.statusCode, 200, '200 updated quota')
+
+  res = await app.req.get({url: '/v1/account', json: true, auth: authUser})
+  t.is(res.statusCode, 200, '200 got account')
+  t.is(res.body.diskQuota, 1, 'quota override is reported')
+
+  // new archives are refused
+  var json = {key: 'f'.repeat(64)}
+  res = await app.req.post({uri: '/v1/archives/add', json, auth: authUser})
+  t.is(res.statusCode, 422, '422 over quota')
+  t.truthy(res.body.outOfSpace, 'outOfSpace')
+
+  // existing archives can still be updated
+  json = {key: testDatKey, name: 'bobs-dat'}
+  res = await app.req.post({uri: '/v1/archives/add', json, auth: authUser})
+  t.is(res.statusCode, 200, '200 updated dat')
+
+  // reset the quota
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {diskQuota: null}, auth})
+  t.is(res.statusCode, 200, '200 reset quota')
+
+  // invalid quotas are refused
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {diskQuota: 'lots'}, auth})
+  t.is(res.statusCode, 422, '422 invalid quota')
+})
+
+test('archives over the size limit stop replicating', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {archiver, archivesDB} = app.cloud
+
+  // limit bob's archives
+  var res = await app.req.post({uri: '/v1/admin/users/bob', json: {maxArchiveSize: '1kb'}, auth})
+  t.is(res.statusCode, 200, '200 updated limit')
+  res = await app.req.get({url: '/v1/account', json: true, auth: authUser})
+  t.is(res.body.maxArchiveSize, 1024, 'limit override is reported')
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {maxArchiveSize: 'lots'}, auth})
+  t.is(res.statusCode, 422, '422 invalid limit')
+
+  // mirror a dat which is too big
+  var dir = util.mktmpdir()
+  fs.writeFileSync(path.join(dir, 'big.txt'), 'x'.repeat(10 * 1024))
+  var bigDat = await new Promise((resolve, reject) => {
+    makeDatFromFolder(dir, (err, dat) => {
+      if (err) reject(err)
+      else resolve(dat)
+    })
+  })
+  var bigKey = bigDat.key.toString('hex')
+  res = await app.req.post({uri: '/v1/archives/add', json: {key: bigKey, name: 'big-dat'}, auth: authUser})
+  t.is(res.statusCode, 200, '200 added dat')
+
+  // the metadata gives it away
+  await waitUntil(async () => (await archivesDB.getByKey(bigKey)).oversized)
+  res = await app.req({uri: `/v1/archives/${bigKey}`, qs: {view: 'status'}, json: true})
+  t.is(res.statusCode, 200, '200 got status')
+  t.is(res.body.oversized, true, 'archive is oversized')
+  t.falsy(Object.values(archiver.swarmKeys).includes(bigKey), 'archive left the swarm')
+  t.is(archiver.getArchivePeers(bigKey).length, 0, 'archive has no connections')
+
+  // raising the limit resumes replication
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {maxArchiveSize: null}, auth})
+  t.is(res.statusCode, 200, '200 reset limit')
+  await waitUntil(async () => !(await archivesDB.getByKey(bigKey)).oversized)
+  res = await app.req({uri: `/v1/archives/${bigKey}`, qs: {view: 'status'}, json: true})
+  t.is(res.body.oversized, false, 'archive is no longer oversized')
+  t.truthy(Object.values(archiver.swarmKeys).includes(bigKey), 'archive rejoined the swarm')
+
+  await new Promise(resolve => bigDat.close(resolve))
+})
+
 test.cb('archive is accessable via dat swarm', t => {
   console.log('closing origin testdat swarm')
   testDat.close(() => {
@@ -269,6 +759,10 @@ test('remove archive', async t => {
   var json = {key: testDatKey}
   var res = await app.req.post({uri: '/v1/archives/remove', json, auth})
   t.is(res.statusCode, 200, '200 removed dat')
+
+  // the verified owner stopped hosting
+  res = await app.req.get({url: `/v1/archives/${testDatKey}`, qs: {view: 'proofs'}, json: true})
+  t.deepEqual(res.body, {isVerified: false, verifiedBy: null}, 'no longer verified')
 })
 
 test('check archive status after removed by one user, not all', async t => {
@@ -303,6 +797,24 @@ test('check archive status after removed', async t => {
   t.is(res.statusCode, 404, '404 not found')
 })
 
+test('dead archives are deleted after the grace period', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var cleanDeadArchives = require('../lib/jobs/clean-dead-archives')
+  var archivePath = app.cloud.archiver._getArchiveFilesPath(testDatKey)
+  t.truthy(fs.existsSync(archivePath), 'archive data exists')
+
+  // archives within the grace period are kept
+  t.is(await cleanDeadArchives(app.cloud), 0, 'nothing deleted')
+  t.truthy(await app.cloud.archivesDB.getByKey(testDatKey), 'record kept')
+
+  // archives past the grace period are deleted
+  app.cloud.config.deadArchives = {gracePeriod: 0}
+  t.is(await cleanDeadArchives(app.cloud), 1, 'one archive deleted')
+  t.falsy(await app.cloud.archivesDB.getByKey(testDatKey), 'record deleted')
+  t.falsy(fs.existsSync(archivePath), 'archive data deleted')
+  t.deepEqual(await app.cloud.archivesDB.listDeadArchives(), [], 'no dead archives left')
+})
+
 test('archive status wont stall on archive that fails to sync', async t => {
   // add a fake archive
   var fakeKey = 'ffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff'
@@ -315,6 +827,103 @@ test('archive status wont stall on archive that fails to sync', async t => {
   t.same(res.statusCode, 200, '200 status')
 })
 
+test('create an archive and write files to it over http', async t => {
+  // create
+  var res = await app.req.post({uri: '/v1/archives/create', json: {name: 'bobs-uploads'}, auth: authUser})
+  t.is(res.statusCode, 200, '200 created archive')
+  var key = res.body.key
+  t.truthy(/^[0-9a-f]{64}$/.test(key), 'got the key')
+  res = await app.req.get({url: '/v1/users/bob/bobs-uploads', json: true, auth: authUser})
+  t.is(res.statusCode, 200, '200 archive is hosted by the user')
+  t.is(res.body.key, key)
+
+  // write files
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hello world', auth: authUser})
+  t.is(res.statusCode, 200, '200 wrote file')
+  res = await app.req({uri: `/v1/archives/${key}/files/data/data.json`, method: 'PUT', json: {foo: 'bar'}, auth: authUser})
+  t.is(res.statusCode, 200, '200 wrote json file')
+  res = await app.req({uri: `/v1/archives/${key}/files/deleted.txt`, method: 'PUT', body: 'goodbye', auth: authUser})
+  t.is(res.statusCode, 200, '200 wrote file')
+  res = await app.req({uri: `/v1/archives/${key}/files/deleted.txt`, method: 'DELETE', json: true, auth: authUser})
+  t.is(res.statusCode, 200, '200 deleted file')
+  t.is(typeof res.body.version, 'number', 'got the version')
+  res = await app.req({uri: `/v1/archives/${key}/files/deleted.txt`, method: 'DELETE', json: true, auth: authUser})
+  t.is(res.statusCode, 404, '404 file already deleted')
+
+  // only the creator can write
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hax', auth})
+  t.is(res.statusCode, 403, '403 not the creator')
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hax'})
+  t.is(res.statusCode, 401, '401 not logged in')
+  res = await app.req({uri: `/v1/archives/${'e'.repeat(64)}/files/hello.txt`, method: 'PUT', body: 'hax', auth: authUser})
+  t.is(res.statusCode, 404, '404 unknown archive')
+
+  // files cant go past the size limit, whether or not the request gives their length
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {maxArchiveSize: '10kb'}, auth})
+  t.is(res.statusCode, 200, '200 set size limit')
+  res = await app.req({uri: `/v1/archives/${key}/files/big.txt`, method: 'PUT', body: 'x'.repeat(20e3), auth: authUser})
+  t.is(res.statusCode, 413, '413 file too large')
+  t.truthy(JSON.parse(res.body).payloadTooLarge, 'payloadTooLarge flag')
+  var body = new PassThrough()
+  var resPromise = app.req({uri: `/v1/archives/${key}/files/big.txt`, method: 'PUT', body, auth: authUser})
+  for (let i = 0; i < 20; i++) body.write('x'.repeat(1e3))
+  body.end()
+  res = await resPromise
+  t.is(res.statusCode, 413, '413 streamed file too large')
+  res = await app.req.post({uri: '/v1/admin/users/bob', json: {maxArchiveSize: null}, auth})
+  t.is(res.statusCode, 200, '200 reset size limit')
+
+  // an aborted upload doesnt hold up the next write
+  body = new PassThrough()
+  var req = app.req({uri: `/v1/archives/${key}/files/aborted.txt`, method: 'PUT', body, auth: authUser})
+  req.catch(() => {}) // the aborted request rejects
+  body.write('x'.repeat(1e3))
+  await new Promise(resolve => setTimeout(resolve, 100))
+  req.abort()
+  res = await app.req({uri: `/v1/archives/${key}/files/hello.txt`, method: 'PUT', body: 'hello world', auth: authUser, timeout: 5e3})
+  t.is(res.statusCode, 200, '200 wrote file after an aborted upload')
+
+  // the files are stored as-is
+  res = await app.req({uri: `/v1/archives/${key}/export`, qs: {format: 'tar'}, encoding: null})
+  t.is(res.statusCode, 200, '200 got tar')
+  t.deepEqual(await readTar(res.body), {
+    'data/data.json': JSON.stringify({foo: 'bar'}),
+    'hello.txt': 'hello world'
+  }, 'archive has the files')
+
+  if (app.isRemote) return
+
+  // the files replicate to other peers
+  var clone = hyperdrive(util.mktmpdir(), key)
+  var stream = app.cloud.archiver.getArchive(key).replicate({live: true})
+  stream.pipe(clone.replicate({live: true})).pipe(stream)
+  var data = await new Promise((resolve, reject) => {
+    clone.readFile('/hello.txt', 'utf8', (err, data) => {
+      if (err) reject(err)
+      else resolve(data)
+    })
+  })
+  t.is(data, 'hello world', 'file was replicated')
+  stream.destroy()
+
+  // the secret key outlives the archive's data
+  var {archiver} = app.cloud
+  t.truthy(fs.existsSync(archiver._getSecretKeyPath(key)), 'secret key is stored apart from the data')
+  t.falsy(fs.existsSync(path.join(archiver._getArchiveFilesPath(key), 'metadata', 'secret_key')), 'secret key is not in the data folder')
+  await archiver.deleteArchive(key, {keepSecretKey: true})
+  var archive = await archiver.loadArchive(key)
+  t.truthy(archive.writable, 'archive is writable after its data is deleted')
+
+  // the secret key is deleted with the dead archive
+  var cleanDeadArchives = require('../lib/jobs/clean-dead-archives')
+  res = await app.req.post({uri: '/v1/archives/remove', json: {key}, auth: authUser})
+  t.is(res.statusCode, 200, '200 removed archive')
+  app.cloud.config.deadArchives = {gracePeriod: 0}
+  await cleanDeadArchives(app.cloud)
+  t.falsy(await app.cloud.archivesDB.getByKey(key), 'record deleted')
+  t.falsy(fs.existsSync(archiver._getSecretKeyPath(key)), 'secret key deleted')
+})
+
 test.cb('stop test server', t => {
   app.close(() => {
     testDat.close(() => {
@@ -323,3 +932,36 @@ test.cb('stop test server', t => {
     })
   })
 })
+
+function waitUntil (pred) {
+  return new Promise(resolve => {
+    var i = setInterval(async () => {
+      if (await pred()) {
+        clearInterval(i)
+        resolve()
+      }
+    }, 50)
+  })
+}
+
+function readTar (buf) {
+  return new Promise((resolve, reject) => {
+    var files = {}
+    var extract = tarStream.extract()
+    extract.on('entry', (header, stream, next) => {
+      var chunks = []
+      stream.on('data', chunk => chunks.push(chunk))
+      stream.on('end', () => {
+        files[header.name] = Buffer.concat(chunks).toString()
+        next()
+      })
+    })
+    extract.on('finish', () => resolve(files))
+    extract.on('error', reject)
+    extract.end(buf)
+  })
+}
+
+function sumDownloaded (totals) {
+  return totals.reduce((acc, total) => acc + total.bytesDownloaded, 0)
+}
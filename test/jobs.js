@@ -0,0 +1,121 @@
+var test = require('ava')
+var createTestServer = require('./lib/server.js')
+var {parseCron, matchesCron} = require('../lib/scheduler')
+
+var app
+
+test.cb('start test server', t => {
+  app = createTestServer(err => {
+    t.ifError(err)
+    t.end()
+  })
+})
+
+test('queue and handle a job', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var jobs = app.cloud.jobs
+
+  // queue before a handler exists
+  await jobs.queue('test-job', {foo: 'bar'})
+  var queued = await jobs.list('test-job')
+  t.is(queued.length, 1, 'job is queued')
+  t.deepEqual(queued[0].data, {foo: 'bar'})
+
+  // add a handler
+  var handled = await new Promise(resolve => {
+    var id = jobs.addHandler('test-job', async job => {
+      jobs.removeHandler(id)
+      resolve(job)
+    })
+  })
+  t.deepEqual(handled.data, {foo: 'bar'}, 'handler got the job')
+  await waitUntil(async () => (await jobs.list('test-job')).length === 0)
+  t.pass('job was marked done')
+})
+
+test('failed jobs are retried with backoff', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var jobs = app.cloud.jobs
+  jobs.retryDelay = 10
+
+  var attempts = []
+  var id = jobs.addHandler('failing-job', async job => {
+    attempts.push(Date.now())
+    if (attempts.length < 3) throw new Error('Not yet')
+  })
+  await jobs.queue('failing-job')
+  await waitUntil(() => attempts.length === 3)
+  t.truthy(attempts[2] - attempts[1] >= 20, 'delay doubles')
+  await waitUntil(async () => (await jobs.list('failing-job')).length === 0)
+  t.pass('job was marked done')
+  jobs.removeHandler(id)
+})
+
+test('failed jobs are dropped after too many attempts', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var jobs = app.cloud.jobs
+  jobs.retryDelay = 1
+  jobs.maxAttempts = 3
+
+  var numAttempts = 0
+  var id = jobs.addHandler('broken-job', () => {
+    numAttempts++
+    throw new Error('Broken')
+  })
+  await jobs.queue('broken-job')
+  await waitUntil(async () => numAttempts === 3 && (await jobs.list('broken-job')).length === 0)
+  t.is(numAttempts, 3, 'gave up after max attempts')
+  jobs.removeHandler(id)
+})
+
+test('parse and match cron specs', t => {
+  var at = (h, m, s) => new Date(2017, 4, 3, h, m, s) // a wednesday
+
+  t.truthy(matchesCron(parseCron('0 0 0 * * *'), at(0, 0, 0)), 'midnight')
+  t.falsy(matchesCron(parseCron('0 0 0 * * *'), at(0, 0, 1)), 'not midnight')
+  t.truthy(matchesCron(parseCron('*/15 * * * *'), at(5, 30, 0)), '5 fields, every 15 minutes')
+  t.falsy(matchesCron(parseCron('*/15 * * * *'), at(5, 31, 0)), '5 fields, every 15 minutes')
+  t.truthy(matchesCron(parseCron('0 0 9-17 * * 1-5'), at(12, 0, 0)), 'weekday ranges')
+  t.falsy(matchesCron(parseCron('0 0 9-17 * * 0,6,7'), at(12, 0, 0)), 'weekend lists')
+
+  t.throws(() => parseCron('* * *'), /must have 5 or 6 fields/)
+  t.throws(() => parseCron('0 0 25 * * *'), /Invalid hour/)
+  t.throws(() => parseCron('0 0 a * * *'), /Invalid hour/)
+})
+
+test('scheduled jobs are queued', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {jobs, scheduler} = app.cloud
+
+  t.is(scheduler.list('clean-dead-archives').length, 1, 'dead archive cleanup is scheduled')
+
+  var handled = []
+  var handlerId = jobs.addHandler('every-second', job => { handled.push(job) })
+  var scheduleId = scheduler.add('every-second', '* * * * * *', {foo: 'bar'})
+  t.deepEqual(scheduler.list('every-second'), [{id: scheduleId, name: 'every-second', when: '* * * * * *', data: {foo: 'bar'}}])
+
+  await waitUntil(() => handled.length >= 2)
+  t.deepEqual(handled[0].data, {foo: 'bar'}, 'got the schedule data')
+
+  scheduler.remove(scheduleId)
+  jobs.removeHandler(handlerId)
+  t.is(scheduler.list('every-second').length, 0, 'schedule removed')
+})
+
+test.cb('stop test server', t => {
+  app.close(() => {
+    t.pass('closed')
+    t.end()
+  })
+})
+
+function waitUntil (pred) {
+  return new Promise(resolve => {
+    var i = setInterval(async () => {
+      if (await pred()) {
+        clearInterval(i)
+        resolve()
+      }
+    }, 50)
+  })
+}
@@ -34,6 +34,7 @@ function createLocalApp (cb) {
     hostname: 'test.local',
     dir: tmpdir,
     port: portCounter++,
+    sites: 'per-user',
     admin: {
       password: 'foobar'
     },
@@ -0,0 +1,113 @@
+var test = require('ava')
+var createTestServer = require('./lib/server.js')
+
+const ARCHIVE_KEY = 'aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa'
+
+var app
+
+test.cb('start test server', t => {
+  app = createTestServer(err => {
+    t.ifError(err)
+    t.end()
+  })
+})
+
+test('migrations run at startup', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {migrations} = app.cloud
+  t.is(await migrations.getVersion(), migrations.latestVersion, 'db is at the latest version')
+  t.deepEqual(await migrations.run(), [], 'nothing left to run')
+  t.truthy(app.cloud.scheduler.list('clean-dead-archives').length, 'background work started after migrating')
+})
+
+test('migrate legacy records', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {migrations, usersDB, archivesDB, activityDB} = app.cloud
+
+  // write records in the shape of older versions
+  await usersDB.accountsDB.put('legacy-user', {
+    id: 'legacy-user',
+    username: 'legacy',
+    email: 'legacy@example.com',
+    scopes: [],
+    archives: [{key: ARCHIVE_KEY}],
+    isEmailVerified: false,
+    emailVerificationNonce: 'legacy-nonce',
+    createdAt: 1
+  })
+  await archivesDB.archivesDB.put(ARCHIVE_KEY, {
+    key: ARCHIVE_KEY,
+    hostingUsers: ['legacy-user'],
+    updatedAt: 1,
+    createdAt: 1
+  })
+  await activityDB.globalActivityDB.put('legacy-event', {
+    ts: 1,
+    userid: 'legacy-user',
+    username: 'legacy',
+    action: 'add-archive'
+  })
+  await activityDB.usersIndexDB.put('legacy!legacy-event', null)
+  await migrations.metaDB.put('schemaVersion', 0)
+
+  // dry run
+  var results = await migrations.run({dryRun: true})
+  t.deepEqual(results.map(r => r.numChanged), [1, 3, 1, 1], 'changes are counted')
+  t.is(await migrations.getVersion(), 0, 'version is unchanged')
+  var userRecord = await usersDB.accountsDB.get('legacy-user')
+  t.is(userRecord.emailVerificationNonce, 'legacy-nonce', 'account is unchanged')
+  t.falsy('emailVerifyNonce' in userRecord, 'account is unchanged')
+
+  // migrate
+  results = await migrations.run()
+  t.deepEqual(results.map(r => r.version), [1, 2, 3, 4])
+  t.deepEqual(results.map(r => r.numChanged), [1, 3, 1, 1])
+  t.is(await migrations.getVersion(), migrations.latestVersion, 'version is updated')
+
+  userRecord = await usersDB.accountsDB.get('legacy-user')
+  t.is(userRecord.emailVerifyNonce, 'legacy-nonce', 'nonce is moved')
+  t.falsy('emailVerificationNonce' in userRecord, 'old field is removed')
+  t.is(userRecord.username, 'legacy', 'existing fields are kept')
+  t.is(userRecord.createdAt, 1, 'existing fields are kept')
+  t.is(userRecord.suspension, null, 'missing fields are filled')
+  t.is(userRecord.archives[0].name, null, 'missing archive fields are filled')
+
+  var archiveRecord = await archivesDB.archivesDB.get(ARCHIVE_KEY)
+  t.deepEqual(archiveRecord.hostingUsers, ['legacy-user'], 'existing fields are kept')
+  t.is(archiveRecord.updatedAt, 1, 'updatedAt is not touched')
+  t.is(archiveRecord.takedown, null, 'missing fields are filled')
+  t.is(archiveRecord.numCorruptBlocks, 0, 'missing fields are filled')
+
+  var jobs = await app.cloud.jobs.list('update-archive-manifest')
+  t.truthy(jobs.find(job => job.data.key === ARCHIVE_KEY), 'manifest update is queued')
+
+  var eventRecord = await activityDB.globalActivityDB.get('legacy-event')
+  t.deepEqual(eventRecord.params, {}, 'missing fields are filled')
+  var events = await activityDB.listUserEvents('legacy-user')
+  t.deepEqual(events.map(e => e.key), ['legacy-event'], 'activity is indexed by user id')
+  t.deepEqual(await activityDB.listUserEvents('legacy'), [], 'username index entry is removed')
+
+  // nothing left to run
+  t.deepEqual(await migrations.run(), [])
+
+  // cleanup
+  await usersDB.accountsDB.del('legacy-user')
+  await archivesDB.archivesDB.del(ARCHIVE_KEY)
+  await activityDB.delGlobalEvent('legacy-event')
+})
+
+test('a failed migration rejects', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var {migrations} = app.cloud
+  var run = migrations.run
+  migrations.run = () => Promise.reject(new Error('Migration failed'))
+  await t.throws(app.cloud.migrate(), 'Migration failed')
+  migrations.run = run
+})
+
+test.cb('stop test server', t => {
+  app.close(() => {
+    t.pass('closed')
+    t.end()
+  })
+})
@@ -1,5 +1,7 @@
 var test = require('ava')
 var createTestServer = require('./lib/server.js')
+var util = require('./lib/util.js')
+var { makeDatFromFolder } = require('./lib/dat.js')
 
 var app
 
@@ -7,6 +9,7 @@ var app
 // - alice
 // - bob
 // - carla (invalid, never verifies email)
+// - dave (deletes his account)
 
 test.cb('start test server', t => {
   app = createTestServer(err => {
@@ -287,6 +290,86 @@ test('login and get profile', async t => {
   t.is(res.statusCode, 200, '200 got profile')
   t.is(res.body.email, 'bob@example.com', 'email is included')
   t.is(res.body.username, 'bob', 'username is included')
+  t.is(res.body.isProfileDatVerified, false, 'profile dat is not verified')
+})
+
+test('set and verify the profile dat', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+
+  // login
+  var res = await app.req.post({
+    uri: '/v1/login',
+    json: {
+      username: 'bob',
+      password: 'foobar'
+    }
+  })
+  t.is(res.statusCode, 200, '200 got token')
+  var auth = {bearer: res.body.sessionToken}
+
+  // create & share the profile dat
+  var profileDat = await new Promise((resolve, reject) => {
+    makeDatFromFolder(util.mktmpdir(), (err, dat) => {
+      if (err) reject(err)
+      else resolve(dat)
+    })
+  })
+  var profileURL = `dat://${profileDat.key.toString('hex')}/`
+
+  // set the profile dat
+  res = await app.req.post({url: '/v1/account', json: {profileURL}, auth})
+  t.is(res.statusCode, 200, '200 updated account')
+  res = await app.req.get({url: '/v1/account', auth, json: true})
+  t.is(res.body.profileURL, profileURL, 'profileURL is set')
+  t.is(res.body.isProfileDatVerified, false, 'profile dat is not verified yet')
+  t.truthy(res.body.profileVerifyToken, 'got a proof')
+  t.truthy(app.cloud.archiver.getArchive(profileDat.key.toString('hex')) || app.cloud.archiver.isLoadingArchive(profileDat.key.toString('hex')), 'profile dat is swarmed')
+
+  // write the proof
+  var proof = res.body.profileVerifyToken
+  await new Promise((resolve, reject) => {
+    profileDat.archive.mkdir('/proofs', () => {
+      profileDat.archive.writeFile('/proofs/test.local', proof, err => {
+        if (err) reject(err)
+        else resolve()
+      })
+    })
+  })
+
+  // wait for the server to sync & verify
+  var isVerified = false
+  for (var i = 0; i < 100 && !isVerified; i++) {
+    await new Promise(resolve => setTimeout(resolve, 100))
+    res = await app.req.get({url: '/v1/account', auth, json: true})
+    isVerified = res.body.isProfileDatVerified
+  }
+  t.is(isVerified, true, 'profile dat is verified')
+  await new Promise(resolve => profileDat.close(resolve))
+})
+
+test('switch the profile dat', async t => {
+  if (app.isRemote) return t.pass('skipped for remote servers')
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'foobar'}})
+  var auth = {bearer: res.body.sessionToken}
+  res = await app.req.get({url: '/v1/account', auth, json: true})
+  var oldProfileURL = res.body.profileURL
+  var oldKey = /([0-9a-f]{64})/.exec(oldProfileURL)[1]
+  t.truthy(app.cloud.archiver.getArchive(oldKey), 'old profile dat is swarmed')
+
+  // switch
+  var profileURL = `dat://${'d'.repeat(64)}/`
+  res = await app.req.post({url: '/v1/account', json: {profileURL}, auth})
+  t.is(res.statusCode, 200, '200 updated account')
+  res = await app.req.get({url: '/v1/account', auth, json: true})
+  t.is(res.body.profileURL, profileURL, 'profileURL is set')
+
+  // the old dat is released
+  t.is(await app.cloud.usersDB.getByProfileURL(oldProfileURL), null, 'old profileURL is unindexed')
+  t.is((await app.cloud.usersDB.getByProfileURL(profileURL)).username, 'bob', 'new profileURL is indexed')
+  for (let i = 0; i < 50 && app.cloud.archiver.getArchive(oldKey); i++) {
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  t.falsy(app.cloud.archiver.getArchive(oldKey), 'old profile dat is no longer swarmed')
 })
 
 test('login and change password', async t => {
@@ -383,6 +466,179 @@ test('forgot password flow rejects bad nonces', async t => {
   t.is(res.statusCode, 422, '422 bad nonce')
 })
 
+test('change username', async t => {
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'alice', password: 'foobar'}})
+  t.is(res.statusCode, 200, '200 got token')
+  var auth = {bearer: res.body.sessionToken}
+
+  // validation
+  res = await app.req.post({url: '/v1/account', json: {username: 'a!'}, auth})
+  t.is(res.statusCode, 422, '422 bad input')
+  res = await app.req.post({url: '/v1/account', json: {username: 'reserved'}, auth})
+  t.is(res.statusCode, 422, '422 reserved name')
+  t.truthy(res.body.reservedName, 'reservedName')
+  res = await app.req.post({url: '/v1/account', json: {username: 'bob'}, auth})
+  t.is(res.statusCode, 422, '422 name taken')
+  t.truthy(res.body.usernameNotAvailable, 'usernameNotAvailable')
+
+  // give alice some activity
+  if (!app.isRemote) {
+    let userRecord = await app.cloud.usersDB.getByUsername('alice')
+    await app.cloud.activityDB.writeGlobalEvent({userid: userRecord.id, username: 'alice', action: 'add-archive', params: {}})
+  }
+
+  // rename
+  res = await app.req.post({url: '/v1/account', json: {username: 'alicia'}, auth})
+  t.is(res.statusCode, 200, '200 renamed')
+  res = await app.req.get({url: '/v1/account', auth, json: true})
+  t.is(res.body.username, 'alicia', 'username changed')
+  res = await app.req.post({uri: '/v1/login', json: {username: 'alicia', password: 'foobar'}})
+  t.is(res.statusCode, 200, '200 logged in with the new name')
+  if (!app.isRemote) {
+    res = await app.req.get({url: '/v1/users/alicia', qs: {view: 'activity'}, json: true})
+    t.is(res.body.activity.length, 1, 'activity follows the rename')
+  }
+
+  // the old name redirects
+  res = await app.req.get({url: '/v1/users/alice', qs: {view: 'archives'}, json: true, followRedirect: false})
+  t.is(res.statusCode, 302, '302 redirected user')
+  t.is(res.headers.location, '/v1/users/alicia?view=archives')
+  res = await app.req.get({url: '/v1/users/alice/my-archive', json: true, followRedirect: false})
+  t.is(res.statusCode, 302, '302 redirected archive')
+  t.is(res.headers.location, '/v1/users/alicia/my-archive')
+  if (!app.isRemote) {
+    res = await app.req.get({url: '/my-archive/', headers: {host: 'alice.test.local'}, followRedirect: false})
+    t.is(res.statusCode, 302, '302 redirected site')
+    t.is(res.headers.location, 'http://alicia.test.local/my-archive/')
+  }
+
+  // the old name is held
+  res = await app.req.post({uri: '/v1/register', json: {email: 'alice2@example.com', username: 'alice', password: 'foobar'}})
+  t.is(res.statusCode, 422, '422 old name is held')
+  t.truthy(res.body.usernameNotAvailable, 'usernameNotAvailable')
+
+  // the old name can be taken back
+  res = await app.req.post({url: '/v1/account', json: {username: 'alice'}, auth})
+  t.is(res.statusCode, 200, '200 renamed back')
+  res = await app.req.get({url: '/v1/users/alice', json: true, followRedirect: false})
+  t.is(res.statusCode, 200, '200 got user')
+  t.is(res.body.username, 'alice')
+  res = await app.req.get({url: '/v1/users/alicia', json: true, followRedirect: false})
+  t.is(res.headers.location, '/v1/users/alice', 'the other name redirects')
+})
+
+test('set public profile', async t => {
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'fooblah'}})
+  var auth = {bearer: res.body.sessionToken}
+
+  // validation
+  res = await app.req.post({url: '/v1/account', json: {website: 'javascript:alert(1)'}, auth})
+  t.is(res.statusCode, 422, '422 bad website')
+  res = await app.req.post({url: '/v1/account', json: {avatar: '/../avatar.png'}, auth})
+  t.is(res.statusCode, 422, '422 bad avatar')
+  res = await app.req.post({url: '/v1/account', json: {bio: 'x'.repeat(501)}, auth})
+  t.is(res.statusCode, 422, '422 bio too long')
+
+  // set
+  res = await app.req.post({
+    url: '/v1/account',
+    json: {displayName: 'Bob', bio: 'Hi, I host dats.', website: 'https://bob.example.com', avatar: '/avatar.png'},
+    auth
+  })
+  t.is(res.statusCode, 200, '200 updated profile')
+  res = await app.req.get({url: '/v1/account', json: true, auth})
+  t.is(res.body.avatar, '/avatar.png', 'avatar path is set')
+  var {profileURL, isProfileDatVerified} = res.body
+
+  res = await app.req.get({url: '/v1/users/bob', json: true})
+  t.is(res.body.displayName, 'Bob', 'got the display name')
+  t.is(res.body.bio, 'Hi, I host dats.', 'got the bio')
+  t.is(res.body.website, 'https://bob.example.com', 'got the website')
+  t.is(res.body.avatar, isProfileDatVerified ? profileURL + 'avatar.png' : null, 'avatar is in the verified profile dat')
+
+  // avatar urls, and clearing fields
+  res = await app.req.post({url: '/v1/account', json: {website: '', avatar: 'https://bob.example.com/me.png'}, auth})
+  t.is(res.statusCode, 200, '200 updated profile')
+  res = await app.req.get({url: '/v1/users/bob', json: true})
+  t.is(res.body.website, null, 'cleared the website')
+  t.is(res.body.avatar, 'https://bob.example.com/me.png', 'got the avatar url')
+  t.is(res.body.displayName, 'Bob', 'other fields unchanged')
+})
+
+test('export account', async t => {
+  var res = await app.req.post({uri: '/v1/login', json: {username: 'bob', password: 'fooblah'}})
+  var auth = {bearer: res.body.sessionToken}
+  res = await app.req.get({url: '/v1/account/export', json: true})
+  t.is(res.statusCode, 401, '401 not logged in')
+
+  res = await app.req.get({url: '/v1/account/export', json: true, auth})
+  t.is(res.statusCode, 200, '200 got export')
+  t.is(res.headers['content-disposition'], 'attachment; filename="bob.json"')
+  t.is(res.body.account.username, 'bob', 'got the account')
+  t.is(res.body.account.email, 'bob@example.com', 'got the account')
+  t.falsy('passwordHash' in res.body.account, 'no password hash')
+  t.falsy('passwordSalt' in res.body.account, 'no password salt')
+  t.falsy('forgotPasswordNonce' in res.body.account, 'no nonces')
+  t.truthy(Array.isArray(res.body.archives), 'got the archives')
+  t.truthy(Array.isArray(res.body.activity), 'got the activity')
+  t.truthy(Array.isArray(res.body.bandwidth.hourly), 'got the hourly bandwidth')
+  t.truthy(Array.isArray(res.body.bandwidth.daily), 'got the daily bandwidth')
+  t.is(typeof res.body.diskUsage, 'number', 'got the disk usage')
+})
+
+test('delete account', async t => {
+  var key = 'e'.repeat(64)
+
+  // register & verify dave
+  var res = await app.req.post({uri: '/v1/register', json: {email: 'dave@example.com', username: 'dave', password: 'foobar'}})
+  t.is(res.statusCode, 201, '201 created user')
+  var lastMail = app.cloud.mailer.transport.sentMail.pop()
+  var nonce = /([0-9a-f]{64})/.exec(lastMail.data.text)[0]
+  res = await app.req.post({uri: '/v1/verify', json: {username: 'dave', nonce}})
+  t.is(res.statusCode, 200, '200 verified user')
+  res = await app.req.post({uri: '/v1/login', json: {username: 'dave', password: 'foobar'}})
+  var auth = {bearer: res.body.sessionToken}
+
+  // add an archive
+  res = await app.req.post({uri: '/v1/archives/add', json: {key}, auth})
+  t.is(res.statusCode, 200, '200 added dat')
+
+  // rename, so the old name is held for dave
+  res = await app.req.post({url: '/v1/account', json: {username: 'davey'}, auth})
+  t.is(res.statusCode, 200, '200 renamed')
+  var userid = app.isRemote ? null : (await app.cloud.usersDB.getByUsername('davey')).id
+  if (!app.isRemote) await app.cloud.bandwidthDB.add('user', userid, {bytesServed: 100})
+
+  // delete
+  res = await app.req.post({uri: '/v1/account/delete', json: {password: 'wrong-password'}, auth})
+  t.is(res.statusCode, 422, '422 wrong password')
+  t.truthy(res.body.invalidCredentials, 'invalidCredentials')
+  res = await app.req.post({uri: '/v1/account/delete', json: {password: 'foobar'}, auth})
+  t.is(res.statusCode, 200, '200 deleted account')
+  t.truthy(res.headers['set-cookie'].find(c => c.startsWith('sess=;')), 'session cookie cleared')
+
+  // the account is gone
+  res = await app.req.get({url: '/v1/users/davey', json: true})
+  t.is(res.statusCode, 404, '404 no user')
+  res = await app.req.get({url: '/v1/users/dave', json: true})
+  t.is(res.statusCode, 404, '404 no user at the old name')
+  res = await app.req.post({uri: '/v1/login', json: {username: 'davey', password: 'foobar'}})
+  t.is(res.statusCode, 422, '422 cant login')
+
+  if (!app.isRemote) {
+    // the archive is no longer hosted, and its events are gone
+    var archiveRecord = await app.cloud.archivesDB.getByKey(key)
+    t.deepEqual(archiveRecord.hostingUsers, [], 'no hosting users left')
+    t.falsy(app.cloud.archiver.getArchive(key), 'archive closed')
+    var events = await app.cloud.activityDB.listGlobalEvents()
+    t.falsy(events.find(e => e.userid === userid), 'events deleted')
+    t.deepEqual(await app.cloud.activityDB.listUserEvents(userid), [], 'events index cleared')
+    t.is(await app.cloud.usersDB.getByPreviousUsername('dave'), null, 'old name released')
+    t.deepEqual(await app.cloud.bandwidthDB.list('user', userid, 'hour'), [], 'hourly bandwidth deleted')
+    t.deepEqual(await app.cloud.bandwidthDB.list('user', userid, 'day'), [], 'daily bandwidth deleted')
+  }
+})
+
 test.cb('stop test server', t => {
   app.close(() => {
     t.pass('closed')